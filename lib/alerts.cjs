@@ -0,0 +1,88 @@
+// Alert rule matching (edge triggers) and cooldowns. No I/O: callers pass state and look-ups in.
+const { DEFAULT_CHAIN, tokenKey, tokenDataId, snapshotForChain } = require('./snapshot.cjs');
+
+const ALERT_OPS = { '>': (a,b)=> a > b, '<': (a,b)=> a < b, '>=': (a,b)=> a >= b, '<=': (a,b)=> a <= b };
+
+const holderEventSize = (e)=> e.type === 'sell' || e.type === 'enter' ? (e.pct || 0) : Math.abs(e.deltaPct || 0);
+function describeHolderEvent(e, symbol) {
+  const who = `${e.address.slice(0, 6)}…${e.address.slice(-4)}`;
+  if (e.type === 'enter') return `${who} entered ${symbol} top 25 at #${e.rank} (${e.pct}%)`;
+  if (e.type === 'exit') return `${who} left ${symbol} top 25 (was #${e.prevRank}, ${e.prevPct}% → ${e.pct}%)`;
+  if (e.type === 'sell') return `${who} (top holder${e.prevRank ? ` #${e.prevRank}` : ''}) sold ${e.pct}% of ${symbol} supply to LP in ${e.txs} tx`;
+  return `${who} (#${e.rank}) ${e.type === 'increase' ? 'accumulated' : 'reduced'} ${symbol}: ${e.prevPct}% → ${e.pct}%`;
+}
+
+// Rule scope check: `chain:ca` for token rules, the chain alone (if any) for any-token rules
+function ruleMatchesToken(rule, chain, ca) {
+  if (rule.ca) return tokenKey(rule.chain || DEFAULT_CHAIN, rule.ca) === tokenKey(chain || DEFAULT_CHAIN, ca);
+  return !rule.chain || rule.chain === (chain || DEFAULT_CHAIN);
+}
+const rowValue = (row, field)=> field === 'volume24h' || field === 'marketCap' ? row?.[field] : row?.priceChange?.[field];
+
+// Returns [{ rule, row, message, value, wallet? }] for rules that trigger on this snapshot
+// (ctx { snapshot, prevSnapshot, rows, prevVolume(row) → previous scan's volume24h }) or deep scan
+// (ctx { holderEvents, token }). `state.active` holds the edge-trigger state and is updated in place.
+function matchAlertRules(rules, ctx, state) {
+  const { snapshot, prevSnapshot, rows } = ctx;
+  const hits = [];
+  for (const rule of rules) {
+    if (!rule.enabled) continue;
+    if (rule.type === 'holder_event') {
+      const { holderEvents = [], token } = ctx;
+      if (!token || !ruleMatchesToken(rule, token.chain, token.baseAddress)) continue;
+      for (const e of holderEvents) {
+        if (!rule.events.includes(e.type) || holderEventSize(e) < rule.minPct) continue;
+        hits.push({ rule, row: token, value: e.pct, wallet: e.address, message: describeHolderEvent(e, token.symbol || token.baseAddress) });
+      }
+      continue;
+    }
+    if (!rows) continue; // deep-scan context: only holder_event rules apply
+    const scoped = rows.filter(r => ruleMatchesToken(rule, r.chain, r.baseAddress));
+
+    if (rule.type === 'board_entry') {
+      if (!prevSnapshot) continue; // first snapshot: no baseline to "enter" from
+      for (const chain of Object.keys(snapshot.byChain || { [DEFAULT_CHAIN]: 1 })) {
+        const nowTop = (snapshotForChain(snapshot, chain)[rule.board] || []).slice(0, rule.top);
+        const prevTop = new Set((snapshotForChain(prevSnapshot, chain)[rule.board] || []).slice(0, rule.top).map(r => r.baseAddress));
+        const where = chain === DEFAULT_CHAIN ? rule.board : `${chain} ${rule.board}`;
+        nowTop.forEach((row, i) => {
+          if (!ruleMatchesToken(rule, chain, row.baseAddress)) return;
+          if (!prevTop.has(row.baseAddress)) hits.push({ rule, row, value: i + 1, message: `${row.symbol || row.baseAddress} entered ${where} top ${rule.top} at #${i + 1}` });
+        });
+      }
+      continue;
+    }
+
+    for (const row of scoped) {
+      const key = `${rule.id}|${tokenDataId(row.chain || DEFAULT_CHAIN, row.baseAddress)}`;
+      let on = false, value = null, message = '';
+      if (rule.type === 'threshold') {
+        value = Number(rowValue(row, rule.field));
+        on = Number.isFinite(value) && ALERT_OPS[rule.op](value, rule.value);
+        message = `${row.symbol || row.baseAddress} ${rule.field} ${value} ${rule.op} ${rule.value}`;
+      } else if (rule.type === 'volume_multiple') {
+        const prev = Number(ctx.prevVolume?.(row));
+        value = Number(row.volume24h);
+        on = prev > 0 && value >= rule.factor * prev && value >= rule.minVolume;
+        message = `${row.symbol || row.baseAddress} volume24h ${Math.round(value)} is ${prev > 0 ? (value / prev).toFixed(2) : '∞'}× the previous scan (${Math.round(prev || 0)})`;
+      }
+      const wasOn = !!state.active[key];
+      if (on) state.active[key] = true; else delete state.active[key];
+      if (on && !wasOn) hits.push({ rule, row, value, message });
+    }
+  }
+  return hits;
+}
+
+// Drops hits still inside their rule's cooldown (per rule + token, + wallet for holder events)
+// and stamps `lastFired` for the rest
+function applyAlertCooldowns(hits, lastFired, now) {
+  return hits.filter(hit => {
+    const key = `${hit.rule.id}|${tokenDataId(hit.row.chain || DEFAULT_CHAIN, hit.row.baseAddress)}${hit.wallet ? '|' + hit.wallet : ''}`;
+    if (now - (lastFired[key] || 0) < hit.rule.cooldownMin * 60000) return false;
+    lastFired[key] = now;
+    return true;
+  });
+}
+
+module.exports = { ALERT_OPS, ruleMatchesToken, matchAlertRules, applyAlertCooldowns };
@@ -0,0 +1,177 @@
+// Pure deep-scan helpers: holder diffs, funding clusters, risk score and upload validation. No I/O.
+
+// ---------- Holder events ----------
+const HOLDER_MOVE_MIN_PCT = Number(process.env.HOLDER_MOVE_MIN_PCT ?? 0.25); // % of supply
+
+// prevData/result are stored deep-scan results; sells: Map address → { amount, pct, txs, lastTs }
+function diffHolderScans(prevData, result, sells, pctOf) {
+  const prevTop = prevData?.b?.top25;
+  if (!Array.isArray(prevTop) || !prevTop.length) return []; // first scan: nothing to diff against
+  const before = new Map(prevTop.map(h => [h.address, h]));
+  const after = new Map((result.b.top25 || []).map(h => [h.address, h]));
+  const round = (n)=> Math.round(n * 1e4) / 1e4;
+  const events = [];
+  for (const h of after.values()) {
+    const p = before.get(h.address);
+    if (!p) { events.push({ type: 'enter', address: h.address, rank: h.rank, prevRank: null, pct: h.pct, holdings: h.holdings }); continue; }
+    const delta = h.pct - (p.pct || 0);
+    if (Math.abs(delta) >= HOLDER_MOVE_MIN_PCT) {
+      events.push({ type: delta > 0 ? 'increase' : 'decrease', address: h.address, rank: h.rank, prevRank: p.rank, pct: h.pct, prevPct: p.pct, deltaPct: round(delta), holdings: h.holdings, prevHoldings: p.holdings });
+    }
+  }
+  for (const p of before.values()) {
+    if (after.has(p.address)) continue;
+    const pct = round(pctOf(p.address));
+    events.push({ type: 'exit', address: p.address, rank: null, prevRank: p.rank, pct, prevPct: p.pct, deltaPct: round(pct - (p.pct || 0)), prevHoldings: p.holdings });
+  }
+  for (const [address, s] of sells) {
+    if (!before.has(address) && !after.has(address)) continue;
+    events.push({ type: 'sell', address, rank: after.get(address)?.rank ?? null, prevRank: before.get(address)?.rank ?? null, amount: s.amount, pct: round(s.pct), txs: s.txs, lastTs: s.lastTs });
+  }
+  return events;
+}
+
+// ---------- Funding clusters ----------
+// Union-find over the traced wallets: two wallets join when one address funded both, or when their
+// first funding landed in the same block. Returns groups of ≥ 2 wallets, largest supply share first:
+// [{ id, wallets, funders, blocks, pct, links: [{ a, b, via: 'funder'|'block', funder?, block? }] }]
+function buildFundingClusters(wallets, funders, pctOf) {
+  const parent = new Map(wallets.map(w => [w, w]));
+  const find = (x)=> { while (parent.get(x) !== x) { parent.set(x, parent.get(parent.get(x))); x = parent.get(x); } return x; };
+  const links = [];
+  // links form a spanning forest: a pair already connected through other links adds none
+  const join = (a, b, link)=> { if (find(a) === find(b)) return; links.push({ a, b, ...link }); parent.set(find(a), find(b)); };
+
+  const byFunder = new Map(), byBlock = new Map();
+  for (const w of wallets) {
+    const fs_ = funders[w] || [];
+    for (const f of fs_) {
+      if (parent.has(f.address)) continue; // funded by another traced wallet: that is a transfer, not a shared source
+      (byFunder.get(f.address) || byFunder.set(f.address, []).get(f.address)).push(w);
+    }
+    const first = fs_.reduce((m, f)=> (f.block > 0 && (m == null || f.block < m) ? f.block : m), null);
+    if (first != null) (byBlock.get(first) || byBlock.set(first, []).get(first)).push(w);
+  }
+  for (const [funder, ws] of byFunder) for (let i = 1; i < ws.length; i++) join(ws[0], ws[i], { via: 'funder', funder });
+  for (const [block, ws] of byBlock) for (let i = 1; i < ws.length; i++) join(ws[0], ws[i], { via: 'block', block });
+
+  const groups = new Map();
+  for (const w of wallets) {
+    const r = find(w);
+    (groups.get(r) || groups.set(r, []).get(r)).push(w);
+  }
+  return [...groups.values()].filter(ws => ws.length > 1).map(ws => {
+    const set = new Set(ws);
+    const shared = (m)=> [...m].filter(([, list]) => list.length > 1 && set.has(list[0])).map(([k]) => k);
+    return {
+      wallets: ws,
+      funders: shared(byFunder),
+      blocks: shared(byBlock),
+      pct: ws.reduce((s, w)=> s + pctOf(w), 0),
+      links: links.filter(l => set.has(l.a))
+    };
+  }).sort((x, y)=> y.pct - x.pct || y.wallets.length - x.wallets.length).map((c, i)=> ({ id: i + 1, ...c }));
+}
+
+// ---------- Risk score ----------
+// 0–100 from deep-scan signals + Dexscreener pairs; each signal adds points and a reason.
+// Signals without data (e.g. no pairs yet) add nothing. Stored as result.risk with the deep scan.
+const RISK_LEVELS = [[60, 'high'], [30, 'medium'], [0, 'low']];
+
+function scoreTokenRisk({ a = {}, b = {}, pairs = [], funders = {} }, now = Date.now()) {
+  const reasons = [];
+  const add = (signal, points, text)=> { if (points > 0) reasons.push({ signal, points, text }); };
+  const pct = (n)=> `${Number(n || 0).toFixed(1)}%`;
+
+  const creatorPct = Number(a.creatorPct || 0);
+  add('creator', creatorPct >= 20 ? 25 : creatorPct >= 5 ? 15 : creatorPct >= 1 ? 5 : 0, `creator holds ${pct(creatorPct)} of supply`);
+
+  const top10Pct = Number(a.top10Pct || 0);
+  add('concentration', top10Pct >= 80 ? 25 : top10Pct >= 50 ? 15 : top10Pct >= 30 ? 5 : 0, `top 10 holders own ${pct(top10Pct)}`);
+
+  const lpPct = (a.lpNodes || []).reduce((s, n)=> s + (Number(n.pct) || 0), 0);
+  if ((a.lpNodes || []).length) add('lp_share', lpPct < 1 ? 10 : lpPct < 3 ? 5 : 0, `only ${pct(lpPct)} of supply sits in LP`);
+
+  const first = Array.isArray(b.first25) ? b.first25 : [];
+  const soldAll = first.filter(r => r.status === 'sold all').length;
+  add('early_dump', soldAll >= 15 ? 20 : soldAll >= 8 ? 10 : 0, `${soldAll}/${first.length} first buyers sold everything`);
+  // nobody among many early buyers ever sent a token out: classic honeypot pattern
+  if (first.length >= 10 && first.every(r => !(Number(r.totalOut) > 0))) add('no_sells', 20, `none of the first ${first.length} buyers has sold`);
+
+  // early wallets funded by the same address
+  const fundedBy = new Map();
+  for (const r of first) for (const f of funders[r.address] || []) fundedBy.set(f.address, (fundedBy.get(f.address) || 0) + 1);
+  const sharedWallets = first.filter(r => (funders[r.address] || []).some(f => fundedBy.get(f.address) > 1)).length;
+  add('shared_funders', sharedWallets >= 5 ? 20 : sharedWallets >= 3 ? 10 : 0, `${sharedWallets} first buyers share a funding wallet`);
+
+  const liquidityUsd = pairs.reduce((s, p)=> s + (Number(p?.liquidity?.usd || 0) || 0), 0);
+  const cap = pairs.map(p => Number(p?.marketCap ?? p?.fdv)).find(n => Number.isFinite(n) && n > 0) ?? null;
+  const liqRatio = cap && pairs.length ? liquidityUsd / cap : null;
+  if (liqRatio != null) add('liquidity', liqRatio < 0.02 ? 20 : liqRatio < 0.05 ? 10 : 0, `liquidity is ${pct(liqRatio * 100)} of market cap`);
+
+  const created = pairs.map(p => Number(p?.pairCreatedAt)).filter(n => Number.isFinite(n) && n > 0);
+  const ageH = created.length ? (now - Math.min(...created)) / 3600000 : null;
+  if (ageH != null) add('age', ageH < 24 ? 15 : ageH < 24 * 7 ? 5 : 0, `first pair created ${ageH < 48 ? `${Math.round(ageH)}h` : `${Math.round(ageH / 24)}d`} ago`);
+
+  reasons.sort((x, y)=> y.points - x.points);
+  const score = Math.min(100, reasons.reduce((s, r)=> s + r.points, 0));
+  return {
+    score,
+    level: RISK_LEVELS.find(([min]) => score >= min)[1],
+    reasons,
+    metrics: { creatorPct, top10Pct, lpPct, soldAll, sharedWallets, liquidityUsd, liqRatio, ageH: ageH != null ? Math.round(ageH) : null },
+    ts: now
+  };
+}
+
+// ---------- Uploaded deep-scan results ----------
+const TOKEN_STATS_MAX_BYTES = 1024 * 1024;
+const BUYER_STATUSES = { 'hold': 's-hold', 'bought more': 's-more', 'sold part': 's-part', 'sold all': 's-sold' };
+
+// Returns { data } (a clean copy holding only known fields) or { error: 'path: problem' }
+function validateScanData(data, ref) {
+  const isAddr = (v)=> typeof v === 'string' && /^0x[0-9a-f]{40}$/.test(v);
+  const num = (v, min = 0, max = Infinity)=> typeof v === 'number' && Number.isFinite(v) && v >= min && v <= max;
+  const list = (v, max)=> Array.isArray(v) && v.length <= max;
+  if (!data || typeof data !== 'object' || Array.isArray(data)) return { error: 'data must be an object' };
+  if (JSON.stringify(data).length > TOKEN_STATS_MAX_BYTES) return { error: `data larger than ${TOKEN_STATS_MAX_BYTES} bytes` };
+  const { meta = {}, a, b } = data;
+  if (meta.contract != null && String(meta.contract).toLowerCase() !== ref.ca) return { error: 'meta.contract does not match ca' };
+  if (meta.chain != null && meta.chain !== ref.chain) return { error: 'meta.chain does not match chain' };
+  if (!a || typeof a !== 'object') return { error: 'a: missing' };
+  if (!b || typeof b !== 'object') return { error: 'b: missing' };
+  if (!Number.isInteger(a.tokenDecimals) || !num(a.tokenDecimals, 0, 36)) return { error: 'a.tokenDecimals: integer 0–36' };
+  for (const k of ['minted', 'burned', 'currentSupply']) if (!num(a[k])) return { error: `a.${k}: number ≥ 0` };
+  if (!Number.isInteger(a.totalHolders) || a.totalHolders < 0) return { error: 'a.totalHolders: integer ≥ 0' };
+  if (!num(a.top10Pct, 0, 100) || !num(a.creatorPct ?? 0, 0, 100)) return { error: 'a.top10Pct / a.creatorPct: 0–100' };
+  if (a.creatorAddress != null && !isAddr(a.creatorAddress)) return { error: 'a.creatorAddress: address' };
+  const holder = (h)=> h && isAddr(h.address) && num(h.balance) && num(h.pct, 0, 100);
+  if (!list(a.holdersForBubbles, 500) || !a.holdersForBubbles.every(holder)) return { error: 'a.holdersForBubbles: ≤ 500 × { address, balance, pct }' };
+  if (!list(a.lpNodes ?? [], 50) || !(a.lpNodes ?? []).every(holder)) return { error: 'a.lpNodes: ≤ 50 × { address, balance, pct }' };
+  const buyer = (r)=> r && isAddr(r.address) && num(r.timeStamp) && ['firstInAmount', 'totalIn', 'totalOut', 'holdings'].every(k => num(r[k])) && Object.hasOwn(BUYER_STATUSES, r.status);
+  if (!list(b.first25, 25) || !b.first25.every(buyer)) return { error: 'b.first25: ≤ 25 × { address, timeStamp, firstInAmount, totalIn, totalOut, holdings, status }' };
+  const top = (h, i)=> h && isAddr(h.address) && h.rank === i + 1 && num(h.firstIn) && num(h.holdings) && num(h.pct, 0, 100);
+  if (!list(b.top25, 25) || !b.top25.every(top)) return { error: 'b.top25: ≤ 25 × { rank (1…), address, firstIn, holdings, pct }' };
+
+  const pick = (o, keys)=> Object.fromEntries(keys.filter(k => o[k] !== undefined).map(k => [k, o[k]]));
+  return { data: {
+    meta: { contract: ref.ca, chain: ref.chain, scanVersion: Number.isInteger(meta.scanVersion) ? meta.scanVersion : null, source: 'upload', scannedAt: num(meta.scannedAt) ? meta.scannedAt : null },
+    a: {
+      ...pick(a, ['tokenDecimals', 'minted', 'burned', 'currentSupply', 'totalHolders', 'top10Pct', 'creatorPct']),
+      creatorAddress: a.creatorAddress ?? null,
+      holdersForBubbles: a.holdersForBubbles.map(h => pick(h, ['address', 'balance', 'pct'])),
+      lpNodes: (a.lpNodes ?? []).map(h => ({ ...pick(h, ['address', 'balance', 'pct']), __type: 'lp' }))
+    },
+    b: {
+      first25: b.first25.map(r => ({ ...pick(r, ['address', 'timeStamp', 'firstInAmount', 'totalIn', 'totalOut', 'holdings', 'status']), sClass: BUYER_STATUSES[r.status] })),
+      top25: b.top25.map(h => pick(h, ['rank', 'address', 'firstIn', 'holdings', 'pct']))
+    }
+  } };
+}
+
+module.exports = {
+  HOLDER_MOVE_MIN_PCT, diffHolderScans,
+  buildFundingClusters,
+  RISK_LEVELS, scoreTokenRisk,
+  TOKEN_STATS_MAX_BYTES, BUYER_STATUSES, validateScanData
+};
@@ -0,0 +1,31 @@
+// Time-series views shared by the per-token series and holders history. No I/O.
+
+const SERIES_WINDOWS = { '24h': 24 * 3600e3, '7d': 7 * 86400e3, '30d': 30 * 86400e3 };
+const SERIES_MAX_POINTS = 500;
+
+// Points inside the window, oldest first; thinned to ≤ SERIES_MAX_POINTS (last point per bucket)
+function windowSeries(rows, windowMs, now = Date.now()) {
+  const since = now - windowMs;
+  const pts = rows
+    .filter(p => Number.isFinite(p?.ts) && p.ts >= since)
+    .sort((a,b)=> a.ts - b.ts);
+  if (pts.length <= SERIES_MAX_POINTS) return pts;
+  const bucketMs = windowMs / SERIES_MAX_POINTS;
+  const byBucket = new Map();
+  for (const p of pts) byBucket.set(Math.floor((p.ts - since) / bucketMs), p);
+  return Array.from(byBucket.values());
+}
+
+// One holders-history point from a stored deep-scan result
+function holdersPoint(ts, result) {
+  const A = result.a || {};
+  return {
+    ts,
+    holders: A.totalHolders,
+    top10Pct: A.top10Pct,
+    creatorPct: A.creatorPct,
+    lpPct: (A.lpNodes || []).reduce((s,n)=> s + (n.pct || 0), 0)
+  };
+}
+
+module.exports = { SERIES_WINDOWS, SERIES_MAX_POINTS, windowSeries, holdersPoint };
@@ -0,0 +1,37 @@
+// Token keys and snapshot views shared by server.cjs and the scan/alert helpers. No I/O.
+
+const DEFAULT_CHAIN = 'abstract';
+
+// Library keys are `chain:ca`; a bare address (pre multi-chain data) belongs to DEFAULT_CHAIN
+const tokenKey = (chain, ca)=> `${chain}:${ca}`;
+function parseTokenKey(key) {
+  const s = String(key || '').trim().toLowerCase();
+  const i = s.indexOf(':');
+  return i < 0 ? { chain: DEFAULT_CHAIN, ca: s } : { chain: s.slice(0, i), ca: s.slice(i + 1) };
+}
+// Per-token files and token-stats entries; default-chain tokens keep their original bare-CA ids
+const tokenDataId = (chain, ca)=> chain === DEFAULT_CHAIN ? ca : `${chain}-${ca}`;
+
+// Boards of snapshots taken before data/boards.json existed (and of installs without one)
+const FALLBACK_BOARDS = [
+  { id: 'topGainers', label: '🚀 Top Gainers (24h)', sort: { field: 'priceChange.h24', dir: 'desc' }, filters: [], limit: 15 },
+  { id: 'topVol',     label: '📈 Top Vol (24h)', sort: { field: 'volume24h',       dir: 'desc' }, filters: [], limit: 15 }
+];
+
+// Board list of a stored snapshot (older snapshots predate boards.json and only had the original two)
+const snapshotBoards = (snapshot)=> Array.isArray(snapshot?.boards) ? snapshot.boards : FALLBACK_BOARDS.map(({ id, label, sort }) => ({ id, label, sort }));
+
+// One chain's view of a snapshot, shaped like a single-chain snapshot (+ `chains` present in it).
+// Snapshots from before multi-chain support only carry DEFAULT_CHAIN boards.
+function snapshotForChain(snapshot, chain = DEFAULT_CHAIN) {
+  if (!snapshot) return null;
+  const byChain = snapshot.byChain || { [DEFAULT_CHAIN]: snapshot };
+  const c = byChain[chain] || { banner: null };
+  const boards = snapshotBoards(snapshot);
+  const { byChain: _omit, ...rest } = snapshot;
+  const view = { ...rest, chain, banner: c.banner, boards, chainTokens: c.tokens ?? null, chains: Object.keys(byChain) };
+  for (const b of boards) view[b.id] = c[b.id] || [];
+  return view;
+}
+
+module.exports = { DEFAULT_CHAIN, tokenKey, parseTokenKey, tokenDataId, FALLBACK_BOARDS, snapshotBoards, snapshotForChain };
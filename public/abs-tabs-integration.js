@@ -1,22 +1,29 @@
 /* abs-tabs-integration.js — unified A+B integration (v4)
-   - Cache-first deep scan via /api/token-stats (GET) with timestamp
-   - Fresh scan saver via /api/token-stats/save (POST)
-   - Container A: stats + D3 bubble map + snapshot ts
-   - Container B: First 25 vs Top 25 + status grid + row->funders overlay
+   - Cache-first deep scan via /api/token-stats (GET) with timestamp; stale/forced → incremental server refresh
+   - Fresh scans run server-side: POST /api/token-stats/:ca/scan, then poll /api/jobs/:id
+   - Etherscan reads go through the server proxy (/api/chain/:action); no API key in the browser
+   - Chain-aware: TABS.setChain(id, { dexSlug, explorer }) from the page's chain selector
+   - Container A: stats + risk score (computed server-side with the deep scan) + D3 bubble map + snapshot ts
+   - Bubble map colors and links funding clusters (server-side, over first 25 + top 25 wallets)
+   - Container B: First 25 vs Top 25 + status grid + row->funders overlay; 👤 links to /wallet/:address
+   - Container B "Holder moves": top-25 entries/exits, balance moves and sells to LP between deep scans
+   - Address book labels (🏷 to edit) on every address; watchlists highlight/filter the bubble map
    - Funding wallets overlay (ETH + WETH inbound before first receipt)
    - Hidden "common funders" button (kept in code, not shown)
-   - 5-min holders polling for SPECIAL_HOLDERS_CA updates header tile
+   - 5-min holders polling for SPECIAL_HOLDERS_CA updates header tile (count from the server deep scan)
+   - Time-series line chart (D3), shared with index.html via TABS_EXT.renderSeriesChart
+   - Holders / top10 / creator / LP share history chart under the bubble map
 */
 (function (global) {
   const TABS = {};
 
   // ======== Config ========
-  const BASE_URL = 'https://api.etherscan.io/v2/api';
-  const CHAIN_ID = 2741; // Abstract
-  const ETHERSCAN_API = 'H13F5VZ64YYK4M21QMPEW78SIKJS85UTWT'; // user-provided
-  const EXPLORER = 'https://abscan.org';
+  const CHAIN_PROXY = '/api/chain'; // server-side Etherscan v2 proxy (key + caching live there)
+  // current chain (registry entry from /api/chains); SPECIAL_HOLDERS_CA always lives on Abstract
+  let CHAIN = 'abstract';
+  let DEX_SLUG = 'abstract';
+  let EXPLORER = 'https://abscan.org';
   const MIN_INTERVAL_MS = 250;
-  const SOLD_ALL_SMALL_HOLD = 2000;  // heuristic
   const IGNORE_FUNDER_OVER_USD = 1_000_000;
   const TOP_FUNDER_LIMIT = 5;
   const TOP_COMMON_LIMIT = 5;
@@ -33,6 +40,8 @@
   const aStats = () => $('#aTokenStats');
   const aBubble = () => $('#bubble-canvas');
   const aBubbleNote = () => $('#a-bubble-note');
+  const aHoldersChart = () => $('#aHoldersChart');
+  const aHoldersNote = () => $('#aHoldersNote');
 
   // Container B
   const bStatusGrid = () => $('#statusGrid');
@@ -48,6 +57,10 @@
   const buyersPanel = () => $('#buyersPanelB');
   const holdersExpander = () => $('#holdersExpander');
   const holdersToggle = () => $('#holdersToggle');
+  const movesBtn = () => $('#btnMoves');
+  const movesPanel = () => $('#movesPanelB');
+  const movesList = () => $('#movesList');
+  const movesNote = () => $('#movesNote');
 
   // Overlays + header tile
   const fundersOverlay = () => $('#fundersOverlay');
@@ -64,6 +77,47 @@
   }
   function shortAddrLast3(a){ return a ? `0x…${a.slice(-3)}` : '—'; }
   function shortAddr(a){ return a ? a.slice(0,6)+'…'+a.slice(-4) : '—'; }
+  const escHtml = (s)=> String(s??'').replace(/[&<>"']/g,c=>({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;'}[c]));
+
+  // ======== Address book (server-shared labels + watchlists) ========
+  let BOOK = { categories:[], labels:{}, watchlists:[] };
+  async function loadAddressBook(){
+    try{
+      const j = await fetch('/api/address-book').then(r=>r.json());
+      if (j?.ok) BOOK = { categories:j.categories||[], labels:j.labels||{}, watchlists:j.watchlists||[] };
+    }catch{}
+    renderWatchSelect();
+    return BOOK;
+  }
+  // label tag + watchlist dots + 🏷 edit button, rendered after an address
+  function addrLabel(addr){
+    const a = (addr||'').toLowerCase(); const l = BOOK.labels[a];
+    const tag = l ? ` <span class="tag ab-cat ab-${escHtml(l.category)}" title="${escHtml(l.category)}${l.notes?' — '+escHtml(l.notes):''}">${escHtml(l.label)}</span>` : '';
+    const dots = BOOK.watchlists.filter(w=>w.addresses.includes(a)).map(w=>` <span class="wl-dot" style="background:${w.color}" title="${escHtml(w.name)}"></span>`).join('');
+    return `${tag}${dots} <a href="#" class="ab-edit" data-addr="${a}" title="Label this wallet">🏷</a>`;
+  }
+  async function editLabel(addr){
+    const prev = BOOK.labels[addr];
+    const label = prompt(`Label for ${addr} (empty to remove)`, prev?.label || '');
+    if (label === null) return;
+    if (!label.trim()){
+      if (prev){
+        const j = await fetch(`/api/address-book/${addr}`, { method:'DELETE' }).then(r=>r.json()).catch(()=>({}));
+        if (!j.ok){ alert(j.error || 'Could not remove label'); return; }
+      }
+    }else{
+      const category = prompt(`Category (${BOOK.categories.join(', ')})`, prev?.category || 'other');
+      if (category === null) return;
+      const r = await fetch(`/api/address-book/${addr}`, { method:'PUT', headers:{ 'Content-Type':'application/json' }, body:JSON.stringify({ label, category:category.trim().toLowerCase(), notes:prev?.notes||'' }) });
+      const j = await r.json().catch(()=>({}));
+      if (!j.ok){ alert(j.error || 'Could not save label'); return; }
+    }
+    await TABS.loadAddressBook();
+  }
+  document.addEventListener('click', (e)=>{
+    const el = e.target.closest && e.target.closest('.ab-edit'); if (!el) return;
+    e.preventDefault(); e.stopPropagation(); editLabel(el.dataset.addr);
+  }, true);
   const fmtNum = (n, d = 4) => {
     if (!isFinite(n)) return '0';
     const abs = Math.abs(n);
@@ -78,14 +132,6 @@
     const fs = (frac.toString().padStart(dec, '0')).replace(/0+$/, '').slice(0, 6);
     return Number(whole.toString() + (fs ? '.' + fs : ''));
   }
-  function toBI(s){ try{ return BigInt(s); }catch{ return 0n; } }
-  function pctUnits(numBI, denBI){
-    if (denBI === 0n) return 0;
-    const SCALE = 1_000_000n;
-    const q = (numBI * SCALE) / denBI;
-    return Number(q) / 10_000;
-  }
-  function topicToAddress(topic){ return '0x' + topic.slice(26).toLowerCase(); }
   function isCA(s){ return /^0x[0-9a-fA-F]{40}$/.test((s || '').trim()); }
 
   // ======== Rate-limited queue ========
@@ -93,11 +139,10 @@
   const sleep = (ms)=>new Promise(r=>setTimeout(r,ms));
   async function pump(){ if (pumping) return; pumping = true; while(q.length){ const job=q.shift(); try{ const res=await job.fn(); job.resolve(res);}catch(e){ job.reject(e);} await sleep(MIN_INTERVAL_MS);} pumping=false; }
   function enqueue(fn){ return new Promise((resolve,reject)=>{ q.push({fn,resolve,reject}); pump(); }); }
-  function apiGet(params){
+  function apiGet({ module, action, chain = CHAIN, ...params }){
     return enqueue(async ()=>{
-      const url = new URL(BASE_URL);
-      url.searchParams.set('chainid', CHAIN_ID);
-      url.searchParams.set('apikey', ETHERSCAN_API);
+      const url = new URL(`${CHAIN_PROXY}/${action}`, location.origin);
+      url.searchParams.set('chain', chain);
       for (const [k,v] of Object.entries(params)) url.searchParams.set(k, String(v));
       const res = await fetch(url.toString());
       if (!res.ok) throw new Error('HTTP '+res.status);
@@ -108,10 +153,6 @@
   }
 
   // ======== Etherscan-like APIs ========
-  async function apiLogsTransfer(token){
-    const TRANSFER_SIG = '0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef';
-    return apiGet({ module:'logs', action:'getLogs', address: token, topic0: TRANSFER_SIG, fromBlock: 0, toBlock: 'latest' });
-  }
   async function apiTokentx(params){
     return apiGet({ module:'account', action:'tokentx', startblock: 0, endblock: 99999999, sort:'asc', ...params });
   }
@@ -122,16 +163,10 @@
     const r = await apiGet({ module:'account', action:'balance', address, tag:'latest' });
     return Number(r)/1e18;
   }
-  async function tokenBalanceOf(contract, holder){
-    const r = await apiGet({ module:'account', action:'tokenbalance', address: holder, contractaddress: contract, tag:'latest' });
-    const raw = r != null ? String(r) : '0';
-    return /^[0-9]+$/.test(raw) ? BigInt(raw) : 0n;
-  }
-
   // ======== Dexscreener helpers ========
   async function priceUsdForToken(contract){
     try{
-      const res = await fetch(`https://api.dexscreener.com/token-pairs/v1/abstract/${contract}`);
+      const res = await fetch(`https://api.dexscreener.com/token-pairs/v1/${DEX_SLUG}/${contract}`);
       if (!res.ok) return 0;
       const arr = await res.json();
       if (!Array.isArray(arr) || !arr.length) return 0;
@@ -162,16 +197,7 @@
   }
 
   // ======== Bubble map (D3) ========
-  function renderBubble({ root, holders, extras }){
-    root.innerHTML='';
-    const width = root.clientWidth || 960;
-    const height = Math.max(600, Math.round(width * 0.45));
-    const data = (holders||[]).concat(extras || []);
-    const svg = d3.select(root).append('svg').attr('width', width).attr('height', height);
-    const pack = d3.pack().size([width,height]).padding(3);
-    const droot = d3.hierarchy({ children:data }).sum(d=>Math.max(0.000001, d.balance||0));
-    const nodes = pack(droot).leaves();
-
+  function getTip(){
     let tip = d3.select('#bubble-tip');
     if (tip.empty()){
       tip = d3.select('body').append('div').attr('id','bubble-tip')
@@ -180,18 +206,49 @@
         .style('pointer-events','none').style('opacity',0).style('z-index',9999)
         .style('font-family','ui-sans-serif, system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial');
     }
-    const fillFor = (d)=> d.data.__type==='lp' ? '#8B5CF6' : '#375a4e';
+    return tip;
+  }
+  // clusters (server funding groups) tint their members and are linked member-to-member
+  const CLUSTER_COLORS = ['#f59e0b','#ef4444','#3b82f6','#ec4899','#14b8a6','#eab308','#a855f7','#f97316'];
+  const clusterColor = (id)=> CLUSTER_COLORS[(id-1) % CLUSTER_COLORS.length];
+  // watch: { addresses:Set, color, only } highlights (or, with `only`, keeps just) a watchlist's wallets
+  function renderBubble({ root, holders, extras, clusters, watch }){
+    root.innerHTML='';
+    const width = root.clientWidth || 960;
+    const height = Math.max(600, Math.round(width * 0.45));
+    const data = watch?.only ? (holders||[]).filter(h=>watch.addresses.has(h.address)) : (holders||[]).concat(extras || []);
+    if (!data.length){ root.innerHTML = `<div class="banner mono">No holders from this watchlist.</div>`; return; }
+    const svg = d3.select(root).append('svg').attr('width', width).attr('height', height);
+    const pack = d3.pack().size([width,height]).padding(3);
+    const droot = d3.hierarchy({ children:data }).sum(d=>Math.max(0.000001, d.balance||0));
+    const nodes = pack(droot).leaves();
+
+    const tip = getTip();
+    const clusterOf = new Map();
+    for (const c of clusters||[]) for (const w of c.wallets) clusterOf.set(w, c);
+    const fillFor = (d)=> d.data.__type==='lp' ? '#8B5CF6' : clusterOf.has(d.data.address) ? clusterColor(clusterOf.get(d.data.address).id) : '#375a4e';
+
+    // cluster links under the bubbles (only between members that have a bubble)
+    const at = new Map(nodes.map(n=>[n.data.address, n]));
+    const links = (clusters||[]).flatMap(c=> c.links.filter(l=>at.has(l.a) && at.has(l.b)).map(l=>({ ...l, id:c.id })));
+    svg.append('g').selectAll('line').data(links).enter().append('line')
+      .attr('x1', l=>at.get(l.a).x).attr('y1', l=>at.get(l.a).y).attr('x2', l=>at.get(l.b).x).attr('y2', l=>at.get(l.b).y)
+      .attr('stroke', l=>clusterColor(l.id)).attr('stroke-width', 1.5).attr('stroke-opacity', .7)
+      .attr('stroke-dasharray', l=> l.via==='block' ? '4 3' : null);
 
-    const g = svg.selectAll('g').data(nodes).enter().append('g').attr('transform',d=>`translate(${d.x},${d.y})`);
+    const g = svg.selectAll('g.node').data(nodes).enter().append('g').attr('class','node').attr('transform',d=>`translate(${d.x},${d.y})`);
     g.append('circle')
       .attr('r', d=>d.r).attr('fill', fillFor)
-      .attr('stroke', d=> d.data.__type==='lp' ? '#C4B5FD' : null)
-      .attr('stroke-width', d=> d.data.__type==='lp' ? 2.5 : null)
+      .attr('stroke', d=> d.data.__type==='lp' ? '#C4B5FD' : watch?.addresses.has(d.data.address) ? watch.color : null)
+      .attr('stroke-width', d=> d.data.__type==='lp' ? 2.5 : watch?.addresses.has(d.data.address) ? 3.5 : null)
       .on('mouseover', (e,d)=>{
         const pct=(d.data.pct||0).toFixed(4);
+        const c=clusterOf.get(d.data.address);
+        const lb=BOOK.labels[d.data.address];
+        const cl=c ? `<div style="color:${clusterColor(c.id)};margin-top:4px">Cluster #${c.id} — ${c.wallets.length} wallets, ${c.pct.toFixed(2)}% of supply</div>` : '';
         tip.html(d.data.__type==='lp'
           ? `<div><strong>LP</strong> — <span class="mono">${pct}%</span> of supply</div><div style="opacity:.8;margin-top:6px">Click to open in ABScan ↗</div>`
-          : `<div><strong><span class="mono">${pct}%</span> of supply</strong></div><div>${d.data.address.slice(0,6)}…${d.data.address.slice(-4)}</div><div style="opacity:.8;margin-top:6px">Click to open in ABScan ↗</div>`
+          : `<div><strong><span class="mono">${pct}%</span> of supply</strong></div><div>${d.data.address.slice(0,6)}…${d.data.address.slice(-4)}${lb ? ` — <b>${escHtml(lb.label)}</b> (${escHtml(lb.category)})` : ''}</div>${cl}<div style="opacity:.8;margin-top:6px">Click to open in ABScan ↗</div>`
         ).style('left',(e.clientX+12)+'px').style('top',(e.clientY+12)+'px').style('opacity',1);
       })
       .on('mousemove', (e)=> d3.select('#bubble-tip').style('left',(e.clientX+12)+'px').style('top',(e.clientY+12)+'px'))
@@ -205,56 +262,95 @@
       .text(d=> d.data.__type==='lp' ? 'LP' : `${(d.data.pct||0).toFixed(2)}%`);
   }
 
+  // ======== Time-series chart (D3) ========
+  // series: [{ label, color, value:(point)=>number, axis:'left'|'right', dashed?, points?, legend? }]
+  // `points` on a series overrides the shared list (used to overlay several tokens); legend:false
+  // keeps a series out of the top legend (still in the hover tooltip)
+  function renderSeriesChart({ root, points, series, height = 260 }){
+    if (!root) return;
+    root.innerHTML='';
+    const all = series.flatMap(s=> (s.points || points || [])).filter(p=>Number.isFinite(p?.ts));
+    if (new Set(all.map(p=>p.ts)).size < 2){
+      root.innerHTML = `<div class="muted mono">Not enough history yet — the server records one point per scan.</div>`;
+      return;
+    }
+    const width = root.clientWidth || 960;
+    const m = { top:24, right:60, bottom:24, left:60 };
+    const svg = d3.select(root).append('svg').attr('width', width).attr('height', height);
+    const x = d3.scaleTime().domain(d3.extent(all, p=>p.ts)).range([m.left, width-m.right]);
+
+    const y = {};
+    for (const side of ['left','right']){
+      const vals = series.filter(s=>(s.axis||'left')===side)
+        .flatMap(s=> (s.points || points || []).map(s.value)).filter(Number.isFinite);
+      if (vals.length) y[side] = d3.scaleLinear().domain(d3.extent(vals)).nice().range([height-m.bottom, m.top]);
+    }
+    svg.append('g').attr('transform',`translate(0,${height-m.bottom})`).call(d3.axisBottom(x).ticks(Math.max(2, Math.floor(width/120))));
+    if (y.left)  svg.append('g').attr('transform',`translate(${m.left},0)`).call(d3.axisLeft(y.left).ticks(5).tickFormat(d=>fmtNum(d,2)));
+    if (y.right) svg.append('g').attr('transform',`translate(${width-m.right},0)`).call(d3.axisRight(y.right).ticks(5).tickFormat(d=>fmtNum(d,2)));
+    svg.selectAll('.domain, .tick line').attr('stroke','rgba(255,255,255,.2)');
+    svg.selectAll('.tick text').attr('fill','#89b6a0').classed('mono', true);
+
+    let li = 0;
+    series.forEach((s)=>{
+      const sy = y[s.axis||'left']; if (!sy) return;
+      const line = d3.line().defined(p=>Number.isFinite(s.value(p))).x(p=>x(p.ts)).y(p=>sy(s.value(p)));
+      svg.append('path').datum(s.points || points || []).attr('fill','none')
+        .attr('stroke', s.color).attr('stroke-width', 2).attr('stroke-dasharray', s.dashed ? '5 4' : null).attr('d', line);
+      if (s.legend !== false) svg.append('text').attr('x', m.left + (li++)*150).attr('y', 12).style('font-size','11px').style('fill', s.color).classed('mono', true).text('■ '+s.label);
+    });
+
+    // hover: nearest point per series
+    const tip = getTip();
+    const focus = svg.append('line').attr('y1', m.top).attr('y2', height-m.bottom).attr('stroke','rgba(255,255,255,.35)').style('opacity',0);
+    const bisect = d3.bisector(p=>p.ts).center;
+    svg.append('rect').attr('x', m.left).attr('y', m.top).attr('width', Math.max(0, width-m.left-m.right)).attr('height', Math.max(0, height-m.top-m.bottom))
+      .attr('fill','transparent')
+      .on('mousemove', (e)=>{
+        const ts = x.invert(d3.pointer(e)[0]).getTime();
+        const lines = series.map(s=>{
+          const list = s.points || points || []; const p = list[bisect(list, ts)];
+          const v = p ? s.value(p) : null;
+          return `<div><span style="color:${s.color}">■</span> ${s.label}: <span class="mono">${Number.isFinite(v) ? fmtNum(v,2) : '—'}</span></div>`;
+        });
+        focus.attr('x1', x(ts)).attr('x2', x(ts)).style('opacity',1);
+        tip.html(`<div class="mono" style="opacity:.8;margin-bottom:4px">${new Date(ts).toLocaleString()}</div>${lines.join('')}`)
+          .style('left',(e.clientX+12)+'px').style('top',(e.clientY+12)+'px').style('opacity',1);
+      })
+      .on('mouseout', ()=>{ focus.style('opacity',0); tip.style('opacity',0); });
+  }
+
   // ======== Persistence API (server) ========
   async function loadCachedScan(ca){
     try{
-      const r = await fetch(`/api/token-stats/${ca}`);
+      const r = await fetch(`/api/token-stats/${ca}?chain=${CHAIN}`);
       const j = await r.json();
-      if (j?.ok && j?.data) return { ts: j.ts, data: j.data };
+      if (j?.ok && j?.data) return { ts: j.ts, data: j.data, provenance: j.provenance };
     }catch{}
     return null;
   }
-  async function saveScan(ca, data){
-    try{
-      const r = await fetch('/api/token-stats/save', {
-        method:'POST',
-        headers:{'Content-Type':'application/json'},
-        body: JSON.stringify({ ca, data })
-      });
-      return await r.json();
-    }catch{ return { ok:false }; }
-  }
-
-  // ======== Receivers + statuses ========
-  async function getFirst27Receivers(token){
-    const logs = await apiLogsTransfer(token).catch(()=>[]);
-    const seen = new Set(); const out=[];
-    for (const l of logs){
-      if (!Array.isArray(l.topics) || l.topics.length<3) continue;
-      const to = topicToAddress(l.topics[2]);
-      if (seen.has(to)) continue;
-      out.push({ address:to, timeStamp:Number(l.timeStamp||l.blockTimestamp||0), txHash:l.transactionHash, firstInAmount:0 });
-      seen.add(to);
-      if (out.length>=27) break; // we will drop the first two (likely LP/mints)
-    }
-    return out.slice(2);
+
+  // ======== Server deep scan (job queue) ========
+  async function requestServerScan(ca){
+    const r = await fetch(`/api/token-stats/${ca}/scan?chain=${CHAIN}`, { method:'POST' });
+    const j = await r.json().catch(()=>null);
+    if (!j?.ok) throw new Error(j?.error || 'HTTP '+r.status);
+    return j.jobId;
   }
-  async function enrichReceiverStats(token, rec){
-    const txs = await apiTokentx({ address:rec.address, contractaddress:token }).catch(()=>[]);
-    if (!txs.length) return { ...rec, totalIn:0, totalOut:0, holdings:0, firstInAmount:0, status:'sold all', sClass:'s-sold' };
-    let totalIn=0, totalOut=0, firstIn=0, holdings=0, earliestTs=Infinity;
-    for (const t of txs){
-      const amt = unitsToNum(t.value, Number(t.tokenDecimal||18));
-      const to = (t.to||'').toLowerCase(); const from=(t.from||'').toLowerCase(); const me = rec.address.toLowerCase();
-      if (to===me){ totalIn+=amt; holdings+=amt; if (Number(t.timeStamp)<earliestTs){ earliestTs=Number(t.timeStamp); firstIn=amt; } }
-      else if (from===me){ totalOut+=amt; holdings-=amt; }
+  async function waitForJob(id, isCurrent){
+    while(true){
+      const r = await fetch(`/api/jobs/${id}`);
+      const j = await r.json().catch(()=>null);
+      if (!j?.ok) throw new Error(j?.error || 'HTTP '+r.status);
+      const job = j.job;
+      if (job.status==='done') return job;
+      if (job.status==='error') throw new Error(job.error || 'Scan failed');
+      if (isCurrent()){
+        const p = job.progress?.total ? ` (${job.progress.done}/${job.progress.total})` : '';
+        setScanStatus((job.status==='queued' ? 'Queued on server…' : (job.stage || 'Scanning…')) + p);
+      }
+      await sleep(1500);
     }
-    const EPS=1e-9; let status='hold', sClass='s-hold'; const h=Math.max(0,holdings);
-    if (Math.abs(h) <= EPS || h < SOLD_ALL_SMALL_HOLD - EPS){ status='sold all'; sClass='s-sold'; }
-    else if (Math.abs(h-firstIn) <= EPS){ status='hold'; sClass='s-hold'; }
-    else if ((totalIn-firstIn) > EPS && Math.abs(totalIn-h) <= EPS){ status='bought more'; sClass='s-more'; }
-    else if (h < firstIn - EPS){ status='sold part'; sClass='s-part'; }
-    return { ...rec, firstInAmount:firstIn, timeStamp: earliestTs!==Infinity ? earliestTs : rec.timeStamp, totalIn, totalOut, holdings:h, status, sClass };
   }
 
   // ======== Funding discovery & overlays ========
@@ -289,11 +385,12 @@
       const el=document.createElement('div'); el.className='s-pill '+r.sClass; el.textContent=r.status; grid.appendChild(el);
     });
   }
+  const profileLink = (addr)=> `<a href="/wallet/${addr}?chain=${CHAIN}" target="_blank" rel="noopener" title="Wallet profile (tracked tokens, entry timing, PnL)">👤</a>`;
   function rowBuyers(i,r){
     const ab = `${EXPLORER}/address/${r.address}`;
     return `<tr data-addr="${r.address}" data-ts="${r.timeStamp||0}">
       <td class="mono">#${i+1}</td>
-      <td class="addr"><a href="${ab}" target="_blank" rel="noopener" title="${r.address}">${shortAddrLast3(r.address)}</a></td>
+      <td class="addr"><a href="${ab}" target="_blank" rel="noopener" title="${r.address}">${shortAddrLast3(r.address)}</a> ${profileLink(r.address)}${addrLabel(r.address)}</td>
       <td class="mono">${fmtNum(r.firstInAmount)}</td>
       <td class="mono">${fmtNum(r.totalIn)}</td>
       <td class="mono">${fmtNum(r.totalOut)}</td>
@@ -305,7 +402,7 @@
     const ab = `${EXPLORER}/address/${r.address}`;
     return `<tr>
       <td class="mono">#${i+1}</td>
-      <td class="addr"><a href="${ab}" target="_blank" rel="noopener">${shortAddr(r.address)}</a></td>
+      <td class="addr"><a href="${ab}" target="_blank" rel="noopener">${shortAddr(r.address)}</a> ${profileLink(r.address)}${addrLabel(r.address)}</td>
       <td class="mono">${fmtNum(r.firstIn)}</td>
       <td class="mono">${fmtNum(r.holdings)}</td>
       <td class="mono">${(r.pct||0).toFixed(4)}%</td>
@@ -318,7 +415,7 @@
       if (!tbody) return;
       tbody.querySelectorAll('tr').forEach(tr=>{
         tr.addEventListener('click', ()=> openFundersForRow(tr));
-        const a = tr.querySelector('a'); if (a) a.addEventListener('click', (e)=> e.stopPropagation());
+        tr.querySelectorAll('a').forEach(a=> a.addEventListener('click', (e)=> e.stopPropagation()));
       });
     };
     wire(buyersTop5()); wire(buyersRest());
@@ -344,6 +441,7 @@
       scored.sort((A,B)=> (B.tokenUsd-A.tokenUsd) || (B.eth-A.eth));
       const top = scored.slice(0, TOP_FUNDER_LIMIT);
       fundersInner().innerHTML = `
+        <div class="mono" style="margin-bottom:8px"><a href="/wallet/${addr}?chain=${CHAIN}#funders" target="_blank" rel="noopener" style="text-decoration:underline">Open the full wallet profile ↗</a></div>
         <div class="mono" style="margin-bottom:8px">
           <b>DISCLAIMER:</b> always check the chain yourself to be 100% sure results are right.
           Top ${TOP_FUNDER_LIMIT} funders by balance. Ignored funders with &gt; $1.000.000 portfolios.
@@ -352,7 +450,7 @@
           const portal=`https://portal.abs.xyz/profile/${r.address}`; const abscan=`${EXPLORER}/address/${r.address}`;
           return `<div class="f-card" style="display:flex;align-items:flex-start;justify-content:space-between;gap:10px;border:1px solid rgba(255,255,255,.12);border-radius:10px;padding:10px;margin:8px 0;background:rgba(255,255,255,.03)">
             <div>
-              <div class="addr mono" style="font-weight:700">${r.address}</div>
+              <div class="addr mono" style="font-weight:700">${r.address}${addrLabel(r.address)}</div>
               <div class="chips" style="display:flex;flex-wrap:wrap;gap:8px;margin-top:6px">
                 <span class="chip" style="border:1px solid rgba(255,255,255,.12);border-radius:999px;padding:4px 8px">ETH in: <span class="mono">${fmtNum(r.meta.ethAmount,6)} (${r.meta.ethCount})</span></span>
                 <span class="chip" style="border:1px solid rgba(255,255,255,.12);border-radius:999px;padding:4px 8px">WETH in: <span class="mono">${fmtNum(r.meta.wethAmount,6)} (${r.meta.wethCount})</span></span>
@@ -397,9 +495,9 @@
         const portal=`https://portal.abs.xyz/profile/${s.address}`; const abscan=`${EXPLORER}/address/${s.address}`;
         return `<div class="f-card" style="display:flex;align-items:flex-start;justify-content:space-between;gap:10px;border:1px solid rgba(255,255,255,.12);border-radius:10px;padding:10px;margin:8px 0;background:rgba(255,255,255,.03)">
           <div>
-            <div class="addr mono" style="font-weight:700">${s.address}</div>
+            <div class="addr mono" style="font-weight:700">${s.address}${addrLabel(s.address)}</div>
             <div class="note mono" style="opacity:.85">Token portfolio: $${fmtNum(s.tokenUsd,2)} • Seen in <span class="mono">${s.count}</span> wallets</div>
-            <div class="note mono" style="opacity:.85">Wallets funded: ${s.who.map(w=>`<span class="mono">${shortAddr(w)}</span>`).join(', ')}</div>
+            <div class="note mono" style="opacity:.85">Wallets funded: ${s.who.map(w=>`<span class="mono">${shortAddr(w)}</span>${BOOK.labels[w] ? ` <span class="tag">${escHtml(BOOK.labels[w].label)}</span>` : ''}`).join(', ')}</div>
           </div>
           <div class="links" style="display:flex;gap:8px;flex-shrink:0">
             <button class="btn mono" onclick="window.open('${portal}','_blank')">Portal</button>
@@ -410,138 +508,36 @@
     }catch(e){ commonInner().innerHTML = `<div class="banner mono">Error: ${e.message||e}</div>`; }
   }
 
-  // ======== Full token overview (scan) + save ========
-  async function doFreshScan(contract){
-    const result = { meta:{ contract }, a:{}, b:{} };
-
-    setScanStatus('Downloading token transfer history…');
-    const txs = await fetchAllTokenTx(contract);
-    if (!txs.length) throw new Error('No transactions found for this token.');
-    const tokenDecimals = chooseDecimals(txs);
-
-    setScanStatus('Resolving creator & supply metrics…');
-    let creatorAddress = '';
-    try{
-      const cRes = await fetch(`${BASE_URL}?chainid=${CHAIN_ID}&module=contract&action=getcontractcreation&contractaddresses=${contract}&apikey=${ETHERSCAN_API}`);
-      const cData = await cRes.json();
-      creatorAddress = (Array.isArray(cData?.result) && cData.result[0]?.contractCreator) ? cData.result[0].contractCreator.toLowerCase() : '';
-    }catch{}
-
-    // LP pair addresses (for LP bubbles)
-    let pairAddresses = [];
-    try{
-      const pr = await fetch(`https://api.dexscreener.com/token-pairs/v1/abstract/${contract}`);
-      const pd = await pr.json();
-      if (Array.isArray(pd)){
-        for (const p of pd){
-          let pa = String(p?.pairAddress||'').toLowerCase(); if (!pa) continue;
-          if (pa.includes(':')) pa = pa.split(':')[0];
-          if (/^0x[a-f0-9]{40}$/.test(pa)) pairAddresses.push(pa);
-        }
-      }
-    }catch{}
-    pairAddresses = Array.from(new Set(pairAddresses));
-    const pairSet = new Set(pairAddresses);
-
-    const ZERO = '0x0000000000000000000000000000000000000000';
-    const DEAD = '0x000000000000000000000000000000000000dead';
-    const burnSet = new Set([ZERO, DEAD]);
-
-    const balances = {};
-    let mintedUnits=0n, burnedUnits=0n;
-    const firstInMap = new Map();
-
-    for (const t of txs){
-      const from=(t.from||t.fromAddress||'').toLowerCase(); const to=(t.to||t.toAddress||'').toLowerCase();
-      const v=toBI(t.value||'0'); const ts=Number(t.timeStamp)||0;
-      if (from===ZERO) mintedUnits+=v;
-      if (burnSet.has(to)) burnedUnits+=v;
-      // ignore contract self-moves
-      if (from===contract || to===contract) continue;
-      if (!burnSet.has(from)) balances[from]=(balances[from]||0n)-v;
-      if (!burnSet.has(to))   balances[to]=(balances[to]||0n)+v;
-      if (!firstInMap.has(to) && !burnSet.has(to)) firstInMap.set(to, { ts, v });
-    }
-    const currentSupply = mintedUnits>=burnedUnits ? (mintedUnits-burnedUnits) : 0n;
-
-    setScanStatus('Building holders set…');
-    let holdersAll = Object.entries(balances)
-      .filter(([addr,bal])=> bal>0n && !burnSet.has(addr) && !pairSet.has(addr))
-      .map(([address,units])=>({ address, units }));
-    holdersAll.sort((a,b)=> (b.units>a.units) ? 1 : (b.units<a.units) ? -1 : 0);
-
-    // verify top balances against chain at head (top 150)
-    setScanStatus('Verifying top balances…');
-    const toVerify = holdersAll.slice(0,150).map(h=>h.address); const verified={};
-    for (let i=0;i<toVerify.length;i++){ const a=toVerify[i]; verified[a]=await tokenBalanceOf(contract,a).catch(()=>null); await sleep(100); }
-    const vset=new Set(toVerify); const corrected=[];
-    for (const h of holdersAll){
-      if (vset.has(h.address)){
-        const v=verified[h.address];
-        if (v===null) corrected.push(h); else if (v===0n) continue; else corrected.push({ address:h.address, units:v });
-      } else corrected.push(h);
-    }
-    holdersAll = corrected; holdersAll.sort((a,b)=> (b.units>a.units)?1:(b.units<a.units)?-1:0);
-
-    const holdersForBubbles = holdersAll.slice(0,500).map(h=>({ address:h.address, balance:Number(h.units)/(10**tokenDecimals), pct: currentSupply>0n ? pctUnits(h.units,currentSupply):0 }));
-    const lpNodes=[];
-    for (const pa of pairAddresses){
-      const units = await tokenBalanceOf(contract, pa).catch(()=>0n);
-      lpNodes.push({ address:pa, balance:Number(units)/(10**tokenDecimals), pct: currentSupply>0n? pctUnits(units,currentSupply):0, __type:'lp' });
-      await sleep(50);
-    }
-    const top10Pct = holdersForBubbles.slice(0,10).reduce((s,h)=> s+(h.pct||0),0);
-    const creatorPct = creatorAddress ? (holdersForBubbles.find(h=>h.address.toLowerCase()===creatorAddress)?.pct || 0) : 0;
-
-    // A (stats)
-    result.a = {
-      tokenDecimals,
-      minted: Number(mintedUnits)/(10**tokenDecimals),
-      burned: Number(burnedUnits)/(10**tokenDecimals),
-      currentSupply: Number(currentSupply)/(10**tokenDecimals),
-      totalHolders: holdersAll.length,
-      top10Pct,
-      creatorAddress,
-      creatorPct,
-      holdersForBubbles,
-      lpNodes
-    };
-
-    // B (holders + receivers)
-    const top25 = holdersAll.slice(0,25).map((h,i)=>{
-      const first = firstInMap.get(h.address) || { ts:0, v:0n };
-      return {
-        rank: i+1,
-        address: h.address,
-        firstIn: Number(first.v)/(10**tokenDecimals),
-        holdings: Number(h.units)/(10**tokenDecimals),
-        pct: currentSupply>0n ? pctUnits(h.units, currentSupply) : 0
-      };
-    });
-
-    setScanStatus('Fetching Transfer logs…');
-    const receivers = await getFirst27Receivers(contract);
-    const enriched=[];
-    setScanStatus('Computing totals & statuses per wallet…');
-    for (const r of receivers){
-      const st = await enrichReceiverStats(contract, r).catch(()=>null);
-      if (st) enriched.push(st);
-      await sleep(50);
-    }
-
-    result.b = { first25: enriched.slice(0,25), top25 };
-
-    // done
-    return result;
+  // bubble-map watchlist selector (#watchSel / #watchOnly in Container A)
+  let lastRendered = null;
+  function currentWatch(){
+    const w = BOOK.watchlists.find(x=>x.id===$('#watchSel')?.value);
+    return w ? { addresses:new Set(w.addresses), color:w.color, only:!!$('#watchOnly')?.checked } : null;
+  }
+  function renderWatchSelect(){
+    const sel = $('#watchSel'); if (!sel) return;
+    const v = sel.value;
+    sel.innerHTML = `<option value="">No watchlist</option>` + BOOK.watchlists.map(w=>`<option value="${w.id}">● ${escHtml(w.name)} (${w.addresses.length})</option>`).join('');
+    sel.value = BOOK.watchlists.some(w=>w.id===v) ? v : '';
+  }
+  function rerenderBubble(){
+    const A = lastRendered?.a; if (!A) return;
+    renderBubble({ root:aBubble(), holders:(A.holdersForBubbles||[]), extras:(A.lpNodes||[]), clusters:lastRendered.clusters||[], watch:currentWatch() });
   }
 
   function renderFromData(snapshot){
     // Header note
-    if (aSnap()) aSnap().textContent = snapshot.ts ? new Date(snapshot.ts).toLocaleString() : '';
+    // results not produced by a server scan say where they came from
+    const prov = snapshot.provenance;
+    const from = prov?.source==='upload' ? ` · uploaded by ${prov.by}` : prov?.source==='rollback' ? ` · rolled back to ${new Date(prov.from).toLocaleString()}` : '';
+    if (aSnap()) aSnap().textContent = snapshot.ts ? new Date(snapshot.ts).toLocaleString() + from : '';
 
     // Container A
     const A = snapshot.a || {};
-    aStats().innerHTML = `
+    const R = snapshot.risk;
+    aStats().innerHTML = (R ? `
+      <div class="statrow mono"><b>Risk score</b><span class="risk risk-${R.level}">${R.score}/100 ${R.level}</span></div>
+      ${R.reasons.length ? `<ul class="risk-reasons mono">${R.reasons.map(r=>`<li>+${r.points} ${r.text}</li>`).join('')}</ul>` : ''}` : '') + `
       <div class="statrow mono"><b>Minted</b><span>${fmtNum(A.minted,6)}</span></div>
       <div class="statrow mono"><b>Burned</b><span>${fmtNum(A.burned,6)}</span></div>
       <div class="statrow mono"><b>Current Supply</b><span>${fmtNum(A.currentSupply,6)}</span></div>
@@ -549,8 +545,14 @@
       <div class="statrow mono"><b>Top 10 holders</b><span>${(A.top10Pct||0).toFixed(4)}%</span></div>
       <div class="statrow mono"><b>Creator</b><span>${A.creatorAddress ? `<a href="${EXPLORER}/address/${A.creatorAddress}" target="_blank" rel="noopener">${shortAddr(A.creatorAddress)}</a> <span class="muted">(${(A.creatorPct||0).toFixed(4)}%)</span>` : 'n/a'}</span></div>
     `;
-    renderBubble({ root:aBubble(), holders:(A.holdersForBubbles||[]), extras:(A.lpNodes||[]) });
-    aBubbleNote().innerHTML = A.burned>0 ? `<span class="mono">🔥 Burn — ${fmtNum(A.burned,6)} tokens</span>` : '';
+    const clusters = snapshot.clusters || [];
+    lastRendered = snapshot;
+    renderBubble({ root:aBubble(), holders:(A.holdersForBubbles||[]), extras:(A.lpNodes||[]), clusters, watch:currentWatch() });
+    const clusterNote = clusters.length
+      ? `<div class="mono" style="margin-top:4px">Funding clusters (shared funder — solid, same funding block — dashed): ${clusters.map(c=>
+          `<span style="color:${clusterColor(c.id)}" title="${c.wallets.join('\n')}">#${c.id} ${c.wallets.length} wallets · ${c.pct.toFixed(2)}%</span>`).join(' · ')}</div>`
+      : '';
+    aBubbleNote().innerHTML = (A.burned>0 ? `<span class="mono">🔥 Burn — ${fmtNum(A.burned,6)} tokens</span>` : '') + clusterNote;
 
     // Container B
     const B = snapshot.b || {};
@@ -582,43 +584,131 @@
     }
 
     // default view
-    buyersPanel().style.display=''; holdersPanel().style.display='none';
-    firstBtn().classList.add('active'); topBtn().classList.remove('active');
+    showBTab('first');
+  }
+
+  // ======== Holders history chart (Container A) ========
+  let holdersWin = '7d';
+  async function loadHoldersHistory(ca){
+    const root = aHoldersChart(), note = aHoldersNote();
+    if (!root) return;
+    document.querySelectorAll('.hwin').forEach(b=>b.classList.toggle('active', b.dataset.win===holdersWin));
+    if (note) note.textContent = 'Loading holders history…';
+    try{
+      const r = await fetch(`/api/tokens/${ca}/holders-history?window=${holdersWin}&chain=${CHAIN}`); const j = await r.json();
+      if (ca!==currentCa) return;
+      const points = j?.ok ? (j.points||[]) : [];
+      if (note) note.textContent = `${points.length} scans`;
+      renderSeriesChart({ root, points, height:200, series:[
+        { label:'Holders',    color:'#3ee98f', axis:'left',  value:p=>Number(p.holders) },
+        { label:'Top 10 %',   color:'#5aa7ff', axis:'right', value:p=>Number(p.top10Pct) },
+        { label:'Creator %',  color:'#ffb84d', axis:'right', value:p=>Number(p.creatorPct), dashed:true },
+        { label:'LP %',       color:'#c38bff', axis:'right', value:p=>Number(p.lpPct), dashed:true }
+      ]});
+    }catch{ if (note) note.textContent = 'Holders history unavailable'; root.innerHTML=''; }
+  }
+  function wireHoldersWindows(){
+    document.querySelectorAll('.hwin').forEach(b=>{ b.onclick=()=>{ holdersWin=b.dataset.win; if (currentCa) loadHoldersHistory(currentCa); }; });
+  }
+
+  // ======== Holder moves timeline (Container B) ========
+  const MOVE_ICONS = { enter:'🟢', exit:'🔴', increase:'⬆', decrease:'⬇', sell:'💸' };
+  function moveText(e){
+    const pct = (n)=> `${fmtNum(n, 2)}%`;
+    if (e.type==='enter') return `entered the top 25 at #${e.rank} with ${pct(e.pct)}`;
+    if (e.type==='exit') return `left the top 25 (was #${e.prevRank}) — ${pct(e.prevPct)} → ${pct(e.pct)}`;
+    if (e.type==='sell') return `sold ${fmtNum(e.amount)} (${pct(e.pct)} of supply) to LP in ${e.txs} tx${e.prevRank||e.rank ? ` · #${e.prevRank??'—'} → #${e.rank??'—'}` : ''}`;
+    return `${e.type==='increase'?'accumulated':'reduced'} ${pct(e.prevPct)} → ${pct(e.pct)} (${e.deltaPct>0?'+':''}${fmtNum(e.deltaPct, 2)} pts) · #${e.prevRank} → #${e.rank}`;
+  }
+  async function loadHolderEvents(ca){
+    const list = movesList(), note = movesNote();
+    if (!list) return;
+    try{
+      const r = await fetch(`/api/tokens/${ca}/holder-events?window=30d&chain=${CHAIN}`); const j = await r.json();
+      if (ca!==currentCa) return;
+      const events = j?.ok ? (j.events||[]) : [];
+      if (!events.length){
+        list.innerHTML = '<div class="muted">No top-holder movements recorded yet — events appear from the second deep scan on.</div>';
+      }else{
+        let html = '', scanTs = null;
+        for (const e of events){
+          if (e.ts!==scanTs){ scanTs = e.ts; html += `<div class="moves-scan">Scan ${new Date(e.ts).toLocaleString()}</div>`; }
+          html += `<div class="move move-${e.type}"><span>${MOVE_ICONS[e.type]||'•'}</span><span><a href="${EXPLORER}/address/${e.address}" target="_blank" rel="noopener">${shortAddr(e.address)}</a> ${profileLink(e.address)}${addrLabel(e.address)} ${moveText(e)}</span></div>`;
+        }
+        list.innerHTML = html;
+      }
+      if (note) note.textContent = j?.ok ? `Last 30d · balance moves ≥ ${j.minMovePct}% of supply` : '';
+    }catch{ if (ca===currentCa) list.innerHTML = '<div class="muted">Holder moves unavailable</div>'; }
   }
 
   // ======== Orchestrators ========
-  async function showWithCacheThenMaybeRefresh(ca, forceFresh){
-    if (!forceFresh){
-      const cached = await loadCachedScan(ca);
-      if (cached){
+  const SCAN_STALE_MS = 10*60*1000; // cached deep scans older than this refresh in the background
+  let currentCa = '';
+  async function showWithCacheThenMaybeRefresh(ca, forceFresh, cacheOnly){
+    const isCurrent = ()=> currentCa===ca;
+    const cached = await loadCachedScan(ca);
+    if (cached){
+      if (!isCurrent()) return { usedCache:true };
+      renderFromData({ ...cached.data, ts: cached.ts, provenance: cached.provenance });
+      loadHoldersHistory(ca);
+      loadHolderEvents(ca);
+      const stale = Date.now() - Number(cached.ts||0) > SCAN_STALE_MS;
+      if (cacheOnly){
+        setScanStatus(stale ? 'Loaded cached snapshot (stale) — Reload to rescan.' : 'Loaded cached snapshot.');
+        return { usedCache:true };
+      }
+      if (!forceFresh && !stale){
         setScanStatus('Loaded cached snapshot.');
-        renderFromData({ ...cached.data, ts: cached.ts });
         return { usedCache:true };
       }
+      setScanStatus('Loaded cached snapshot — refreshing…');
     }
-    const fresh = await doFreshScan(ca);
-    const tsSave = await saveScan(ca, fresh);
-    renderFromData({ ...fresh, ts: tsSave?.ts || Date.now() });
+    if (cacheOnly){
+      if (!isCurrent()) return { usedCache:false };
+      setScanStatus('No deep scan stored yet — Reload to scan this token.');
+      aBubble().innerHTML = `<div class="banner mono">No deep scan stored yet.</div>`;
+      aStats().innerHTML  = '';
+      return { usedCache:false };
+    }
+    // the scan itself runs server-side (incremental when a previous scan exists); we only follow the job
+    try{
+      const jobId = await requestServerScan(ca);
+      await waitForJob(jobId, isCurrent);
+    }catch(e){
+      if (!cached) throw e;
+      if (isCurrent()) setScanStatus(`Showing cached snapshot (refresh failed: ${e.message||e})`);
+      return { usedCache:true };
+    }
+    if (!isCurrent()) return { usedCache:false };
+    const fresh = await loadCachedScan(ca);
+    if (!fresh) throw new Error('Scan finished but no result was stored.');
+    renderFromData({ ...fresh.data, ts: fresh.ts, provenance: fresh.provenance });
+    loadHoldersHistory(ca);
+    loadHolderEvents(ca);
     setScanStatus('Overview ready. Click any wallet row to view funders.');
     return { usedCache:false };
   }
 
-  // 5-min holders poll (special token)
+  // 5-min holders poll (special token): the count comes from the server's deep scan (transfers paged
+  // by block there; kept fresh by the holders re-scan). No stored scan yet → queue one and say so.
+  let holdersScanQueued = false;
   async function computeApproxHolders(contract){
+    const tile = holdersTile();
     try{
-      const txs = await fetchAllTokenTx(contract);
-      const ZERO='0x0000000000000000000000000000000000000000';
-      const DEAD='0x000000000000000000000000000000000000dead';
-      const balances={};
-      for (const t of txs){
-        const from=(t.from||'').toLowerCase(); const to=(t.to||'').toLowerCase(); const v=toBI(t.value||'0');
-        if (from===ZERO) continue; if (to===DEAD) continue;
-        if (from) balances[from]=(balances[from]||0n)-v;
-        if (to)   balances[to]=(balances[to]||0n)+v;
+      const r = await fetch(`/api/token-stats/${contract}?chain=abstract`);
+      const j = await r.json().catch(()=>null);
+      if (j && !j.ok && j.error==='not found'){
+        if (!holdersScanQueued){ holdersScanQueued = true; await fetch(`/api/token-stats/${contract}/scan?chain=abstract`, { method:'POST' }); }
+        throw new Error('no deep scan stored yet (queued)');
       }
-      const count = Object.values(balances).filter(v=>v>0n).length;
-      if (holdersTile()) holdersTile().textContent = Intl.NumberFormat('en-US').format(count);
-    }catch{}
+      if (!j?.ok) throw new Error(j?.error || 'HTTP '+r.status);
+      const count = Number(j.data?.a?.totalHolders);
+      if (!Number.isFinite(count)) throw new Error('deep scan has no holder count');
+      if (tile){ tile.textContent = Intl.NumberFormat('en-US').format(count); tile.title = `Holders as of ${new Date(j.ts).toLocaleString()}`; }
+    }catch(e){
+      console.warn('holders count:', e.message||e);
+      if (tile) tile.title = `Holder count unavailable: ${e.message||e}`;
+    }
   }
   function startHoldersPoll(){
     computeApproxHolders(SPECIAL_HOLDERS_CA);
@@ -626,37 +716,65 @@
   }
 
   // ======== Public API ========
-  TABS.startScan = async function(ca, { force=false } = {}){
+  // cacheOnly: show the stored scan, never queue a server scan (read-only route loads)
+  TABS.startScan = async function(ca, { force=false, cacheOnly=false } = {}){
     if (!isCA(ca)){ setScanStatus('Enter a valid token contract.'); return; }
     // wipe UI
     aSnap().textContent=''; aStats().innerHTML=''; aBubble().innerHTML=''; aBubbleNote().textContent='';
+    if (aHoldersChart()) aHoldersChart().innerHTML='';
     buyersTop5().innerHTML=''; buyersRest().innerHTML=''; holdersTop5().innerHTML=''; holdersRest().innerHTML='';
+    if (movesList()) movesList().innerHTML='';
     bStatusGrid().innerHTML='';
     aBubble().innerHTML = `<div class="banner mono"><span class="spinner"></span> <span id="bubbleStatusText">${scanStatusEl()?.textContent||'Scanning…'}</span></div>`;
     aStats().innerHTML = `<div class="banner mono"><span class="spinner"></span> <span>Preparing…</span></div>`;
     setScanStatus(force ? 'Reloading fresh snapshot…' : 'Starting scan…');
+    currentCa = ca.toLowerCase();
+    if ($('#buyersCsv')) $('#buyersCsv').href = `/api/token-stats/${currentCa}/buyers.csv?chain=${CHAIN}`;
+    if ($('#holdersCsv')) $('#holdersCsv').href = `/api/token-stats/${currentCa}/holders.csv?chain=${CHAIN}`;
     try{
-      await showWithCacheThenMaybeRefresh(ca.toLowerCase(), force);
+      await showWithCacheThenMaybeRefresh(ca.toLowerCase(), force, cacheOnly && !force);
     }catch(e){
+      if (currentCa!==ca.toLowerCase()) return;
       setScanStatus(e.message||String(e));
       aBubble().innerHTML = `<div class="banner mono">Error: ${e.message||e}</div>`;
       aStats().innerHTML  = `<div class="banner mono">Error loading stats.</div>`;
     }
   };
 
+  TABS.renderSeriesChart = renderSeriesChart;
+
+  TABS.setChain = function(id, info){
+    CHAIN = id || 'abstract';
+    DEX_SLUG = info?.dexSlug || CHAIN;
+    EXPLORER = info?.explorer || EXPLORER;
+    currentCa = ''; // drop results still in flight for the previous chain
+  };
+
   TABS.reset = function(){
     setScanStatus('');
     aSnap().textContent=''; aStats().innerHTML='<div class="muted mono">Waiting for a token…</div>';
     aBubble().innerHTML=''; aBubbleNote().textContent='';
+    if (aHoldersChart()) aHoldersChart().innerHTML='';
+    if (aHoldersNote()) aHoldersNote().textContent='';
     buyersTop5().innerHTML=''; buyersRest().innerHTML=''; holdersTop5().innerHTML=''; holdersRest().innerHTML='';
+    if (movesList()) movesList().innerHTML='';
+    if (movesNote()) movesNote().textContent='';
     bStatusGrid().innerHTML='';
   };
 
   // Buttons & overlays
+  function showBTab(name){
+    const tabs = [[firstBtn(), buyersPanel(), 'first'], [topBtn(), holdersPanel(), 'top'], [movesBtn(), movesPanel(), 'moves']];
+    for (const [btn, panel, id] of tabs){
+      if (btn) btn.classList.toggle('active', id===name);
+      if (panel) panel.style.display = id===name ? '' : 'none';
+    }
+  }
   function wireTabButtons(){
     if (!firstBtn() || !topBtn()) return;
-    firstBtn().onclick = ()=>{ firstBtn().classList.add('active'); topBtn().classList.remove('active'); buyersPanel().style.display=''; holdersPanel().style.display='none'; };
-    topBtn().onclick   = ()=>{ topBtn().classList.add('active'); firstBtn().classList.remove('active'); buyersPanel().style.display='none'; holdersPanel().style.display=''; };
+    firstBtn().onclick = ()=>showBTab('first');
+    topBtn().onclick   = ()=>showBTab('top');
+    if (movesBtn()) movesBtn().onclick = ()=>showBTab('moves');
   }
   function showOverlay(el){ if (el) el.style.display='flex'; }
   function hideOverlay(el){ if (el) el.style.display='none'; }
@@ -670,28 +788,20 @@
   TABS.init = function(){
     wireTabButtons();
     wireOverlays();
+    wireHoldersWindows();
     startHoldersPoll();
+    if ($('#watchSel')) $('#watchSel').onchange = rerenderBubble;
+    if ($('#watchOnly')) $('#watchOnly').onchange = rerenderBubble;
+    loadAddressBook();
   };
 
-  // ======== Internals ========
-  async function fetchAllTokenTx(contract){
-    const all=[]; const offset=10000; let page=1;
-    while(true){
-      const url = `${BASE_URL}?chainid=${CHAIN_ID}&module=account&action=tokentx&contractaddress=${contract}&page=${page}&offset=${offset}&sort=asc&apikey=${ETHERSCAN_API}`;
-      const r = await fetch(url); const j = await r.json(); const arr = Array.isArray(j?.result)? j.result: [];
-      if (!arr.length) break; all.push(...arr); if (arr.length<offset) break; page++; if (page>200) break; await sleep(MIN_INTERVAL_MS);
-    }
-    if (!all.length){
-      const url = `${BASE_URL}?chainid=${CHAIN_ID}&module=account&action=tokentx&contractaddress=${contract}&startblock=0&endblock=99999999&sort=asc&apikey=${ETHERSCAN_API}`;
-      const r = await fetch(url); const j = await r.json(); const arr = Array.isArray(j?.result)? j.result: []; all.push(...arr);
-    }
-    return all;
-  }
-  function chooseDecimals(txs){
-    const freq=new Map(); for (const t of txs){ const d=parseInt(String(t.tokenDecimal||''),10); if (Number.isFinite(d)&&d>=0&&d<=18) freq.set(d,(freq.get(d)||0)+1); }
-    if (!freq.size) return 18;
-    let best=18, cnt=-1; for (const [d,c] of freq.entries()){ if (c>cnt || (c===cnt && d>best)){ best=d; cnt=c; } } return best;
-  }
+  // reload labels/watchlists (after edits in the address book panel) and redraw the current token
+  TABS.loadAddressBook = async function(){
+    await loadAddressBook();
+    if (lastRendered && currentCa) renderFromData(lastRendered);
+    return BOOK;
+  };
+  TABS.addressBook = () => BOOK;
 
   // Expose
   global.TABS_EXT = TABS;
@@ -1,11 +1,52 @@
 // server.cjs — $tABS backend (Express / Node 18+)
-// Persists: data/tokens-lib.json, data/snapshots.json, data/token-stats.json
+// Persists: data/tokens-lib.json (tokens keyed `chain:ca`), data/snapshots.json, data/token-stats.json, data/scans.json
+//           data/history/YYYY-MM-DD.ndjson (append-only snapshot history, one file per UTC day)
+//           data/series/<ca>.ndjson (per-token price/volume/mcap points, one per scan)
+//           data/holders-history/<ca>.ndjson (holders + concentration, one point per deep scan)
+//           data/holder-events/<ca>.ndjson (top-25 entries/exits, balance moves, sells to LP, diffed per deep scan)
+//           data/discovery.json (auto-discovery candidates + review state)
+//           data/alerts.json (alert rules, webhooks, cooldown state, recent alert events)
+//           data/address-book.json (shared wallet labels + named watchlists)
+//           data/api-keys.json (hashed API keys with scopes + per-key rate limits)
+//           data/token-stats-versions/<ca>.json (recent deep-scan results + provenance, for rollback)
+//           data/scan-state/<ca>.json (deep-scan resume state: raw balances, verified holders, last block)
+// Reads:    data/chains.json (optional: extra chains / overrides for the built-in chain registry)
+//           data/boards.json (leaderboard definitions, re-read on every scan)
+// Helpers:  lib/snapshot.cjs (token keys, snapshot views), lib/scan.cjs (holder diffs, clusters, risk,
+//           upload validation), lib/alerts.cjs (rule matching, cooldowns), lib/series.cjs (series windows,
+//           holders-history points) — no I/O; `npm test` covers them
+// Env: ETHERSCAN_API_KEY (deep scans + /api/chain proxy), CHAIN_PROXY_*, SCAN_INTERVAL_MS/SCAN_JITTER_MS, DISCOVERY_*,
+//      HOLDER_MOVE_MIN_PCT, ADMIN_API_KEY (bootstraps an admin key; without any key writes are refused),
+//      API_OPEN_WRITES=1 (no-key installs only: leave writes open), API_RATE_LIMIT_PER_MIN,
+//      UPLOAD_TOKEN_SECRET (signs upload tokens for /api/token-stats/save; random per boot when unset),
+//      TRUST_PROXY (Express `trust proxy`: hop count, true, or IPs/subnets such as "loopback" — set it
+//      behind a reverse proxy so per-IP rate limits see the client address, not the proxy's)
+// Upgrading an install that has no API keys: writes (adding/editing tokens, alerts, address book,
+// discovery review, full rescans) now answer 403 until ADMIN_API_KEY is set — restart with it, then
+// enter that key (or a write key made from it via /api/keys) in the UI's 🔑 panel. API_OPEN_WRITES=1
+// keeps the old open behaviour. Viewing never needs a key: GETs, /api/refresh and incremental deep
+// scans (POST /api/token-stats/:ca/scan) stay open, rate-limited per IP.
 
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
 const express = require('express');
+// pure helpers (no I/O), shared with the unit tests under test/
+const { DEFAULT_CHAIN, tokenKey, parseTokenKey, tokenDataId, FALLBACK_BOARDS, snapshotForChain } = require('./lib/snapshot.cjs');
+const { HOLDER_MOVE_MIN_PCT, diffHolderScans, buildFundingClusters, scoreTokenRisk, validateScanData } = require('./lib/scan.cjs');
+const { ALERT_OPS, matchAlertRules, applyAlertCooldowns } = require('./lib/alerts.cjs');
+const { SERIES_WINDOWS, windowSeries, holdersPoint } = require('./lib/series.cjs');
 
 const app = express();
+// unset = trust no proxy (req.ip is the socket peer)
+const TRUST_PROXY = process.env.TRUST_PROXY;
+if (TRUST_PROXY) {
+  app.set('trust proxy', TRUST_PROXY === 'true' ? true : TRUST_PROXY === 'false' ? false : /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY);
+}
 app.use(express.json({ limit: '2mb' }));
 
 // ---------- Paths ----------
@@ -16,8 +57,58 @@ const PUBLIC_DIR = path.join(ROOT, 'public');
 const TOKENS_LIB_FILE = path.join(DATA_DIR, 'tokens-lib.json');
 const SNAPSHOTS_FILE  = path.join(DATA_DIR, 'snapshots.json');
 const TOKEN_STATS_FILE= path.join(DATA_DIR, 'token-stats.json');
+const SCANS_FILE      = path.join(DATA_DIR, 'scans.json');
+const HISTORY_DIR     = path.join(DATA_DIR, 'history');
+const SERIES_DIR      = path.join(DATA_DIR, 'series');
+const HOLDERS_HISTORY_DIR = path.join(DATA_DIR, 'holders-history');
+const HOLDER_EVENTS_DIR = path.join(DATA_DIR, 'holder-events');
+const TOKEN_STATS_VERSIONS_DIR = path.join(DATA_DIR, 'token-stats-versions');
+const SCAN_STATE_DIR  = path.join(DATA_DIR, 'scan-state');
+const DISCOVERY_FILE  = path.join(DATA_DIR, 'discovery.json');
+const ALERTS_FILE     = path.join(DATA_DIR, 'alerts.json');
+const CHAINS_FILE     = path.join(DATA_DIR, 'chains.json');
+const BOARDS_FILE     = path.join(DATA_DIR, 'boards.json');
+const ADDRESS_BOOK_FILE = path.join(DATA_DIR, 'address-book.json');
+const API_KEYS_FILE   = path.join(DATA_DIR, 'api-keys.json');
+const OPENAPI_FILE    = path.join(ROOT, 'openapi.json');
+
+// ---------- Scheduler config ----------
+// SCAN_INTERVAL_MS=0 disables the built-in scheduler (manual /api/refresh only)
+const SCAN_INTERVAL_MS = Number(process.env.SCAN_INTERVAL_MS ?? 15 * 60 * 1000);
+const SCAN_JITTER_MS   = Number(process.env.SCAN_JITTER_MS ?? 60 * 1000);
+const SCAN_RUNS_LIMIT  = 200;
+
+// ---------- Etherscan config ----------
+const ETHERSCAN_BASE = 'https://api.etherscan.io/v2/api';
+const ETHERSCAN_API_KEY = process.env.ETHERSCAN_API_KEY || '';
+const ETHERSCAN_MIN_INTERVAL_MS = Number(process.env.ETHERSCAN_MIN_INTERVAL_MS ?? 250);
+// Periodic incremental re-scan of every deep-scanned token (feeds holders history); 0 disables
+const HOLDERS_RESCAN_INTERVAL_MS = Number(process.env.HOLDERS_RESCAN_INTERVAL_MS ?? 60 * 60 * 1000);
+// /api/chain/:action proxy used by the browser (the key never leaves the server)
+const CHAIN_PROXY = {
+  cacheTtlMs:   Number(process.env.CHAIN_PROXY_CACHE_TTL_MS ?? 60 * 1000),
+  cacheMax:     Number(process.env.CHAIN_PROXY_CACHE_MAX ?? 500),
+  ratePerMin:   Number(process.env.CHAIN_PROXY_RATE_PER_MIN ?? 120)   // per client IP
+};
+
+// ---------- Discovery config ----------
+// Optional: DISCOVERY_INTERVAL_MS=0 (default) keeps it off; POST /api/discovery/run still works
+const DISCOVERY = {
+  intervalMs:     Number(process.env.DISCOVERY_INTERVAL_MS ?? 0),
+  minLiquidityUsd: Number(process.env.DISCOVERY_MIN_LIQ_USD ?? 10000),
+  minVolume24h:   Number(process.env.DISCOVERY_MIN_VOL24_USD ?? 5000),
+  minAgeMin:      Number(process.env.DISCOVERY_MIN_AGE_MIN ?? 30),   // let launch snipes settle
+  maxAgeH:        Number(process.env.DISCOVERY_MAX_AGE_H ?? 72),     // "new" pairs only
+  chains:         String(process.env.DISCOVERY_CHAINS || '').split(',').map(c => c.trim().toLowerCase()).filter(Boolean) // [] = DEFAULT_CHAIN
+};
 
 if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
+if (!fs.existsSync(HISTORY_DIR)) fs.mkdirSync(HISTORY_DIR, { recursive: true });
+if (!fs.existsSync(SERIES_DIR)) fs.mkdirSync(SERIES_DIR, { recursive: true });
+if (!fs.existsSync(HOLDERS_HISTORY_DIR)) fs.mkdirSync(HOLDERS_HISTORY_DIR, { recursive: true });
+if (!fs.existsSync(HOLDER_EVENTS_DIR)) fs.mkdirSync(HOLDER_EVENTS_DIR, { recursive: true });
+if (!fs.existsSync(TOKEN_STATS_VERSIONS_DIR)) fs.mkdirSync(TOKEN_STATS_VERSIONS_DIR, { recursive: true });
+if (!fs.existsSync(SCAN_STATE_DIR)) fs.mkdirSync(SCAN_STATE_DIR, { recursive: true });
 
 // ---------- JSON helpers ----------
 function readJSON(file, fallback) {
@@ -42,39 +133,434 @@ function writeJSON(file, obj) {
     return false;
   }
 }
+// NDJSON: one JSON document per line, append-only (no rewrite of the whole file)
+function appendNDJSON(file, obj) {
+  try {
+    fs.appendFileSync(file, JSON.stringify(obj) + '\n');
+    return true;
+  } catch (e) {
+    console.error('appendNDJSON error for', file, e.message);
+    return false;
+  }
+}
+function readNDJSON(file) {
+  try {
+    if (!fs.existsSync(file)) return [];
+    const out = [];
+    for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+      if (!line.trim()) continue;
+      try { out.push(JSON.parse(line)); } catch { /* skip torn line */ }
+    }
+    return out;
+  } catch (e) {
+    console.error('readNDJSON error for', file, e.message);
+    return [];
+  }
+}
+// ---------- CSV helpers ----------
+// RFC 4180-ish: quoted fields, doubled quotes, CRLF/LF line ends
+function parseCSV(text) {
+  const rows = []; let row = []; let field = ''; let quoted = false;
+  const src = String(text || '');
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (quoted) {
+      if (c === '"' && src[i+1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') quoted = true;
+    else if (c === ',') { row.push(field); field = ''; }
+    else if (c === '\n' || c === '\r') {
+      if (c === '\r' && src[i+1] === '\n') i++;
+      row.push(field); rows.push(row); row = []; field = '';
+    } else field += c;
+  }
+  if (field !== '' || row.length) { row.push(field); rows.push(row); }
+  return rows.filter(r => r.some(f => f.trim() !== ''));
+}
+function toCSV(header, rows) {
+  const cell = (v)=> {
+    const s = v == null ? '' : String(v);
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  return [header, ...rows].map(r => r.map(cell).join(',')).join('\n') + '\n';
+}
+
 const sleep = (ms)=> new Promise(r=> setTimeout(r, ms));
-const clamp15 = (arr)=> Array.isArray(arr) ? arr.slice(0, 15) : [];
+
+// ---------- Chain registry ----------
+// id → { name, chainId (Etherscan v2 chainid), dexSlug (Dexscreener path segment), explorer }.
+// data/chains.json can add chains or override fields, same shape: { "<id>": { ... } }
+const CHAINS = (() => {
+  const chains = {
+    abstract: { name: 'Abstract',  chainId: 2741,  dexSlug: 'abstract', explorer: 'https://abscan.org' },
+    ethereum: { name: 'Ethereum',  chainId: 1,     dexSlug: 'ethereum', explorer: 'https://etherscan.io' },
+    base:     { name: 'Base',      chainId: 8453,  dexSlug: 'base',     explorer: 'https://basescan.org' },
+    arbitrum: { name: 'Arbitrum',  chainId: 42161, dexSlug: 'arbitrum', explorer: 'https://arbiscan.io' },
+    optimism: { name: 'Optimism',  chainId: 10,    dexSlug: 'optimism', explorer: 'https://optimistic.etherscan.io' },
+    polygon:  { name: 'Polygon',   chainId: 137,   dexSlug: 'polygon',  explorer: 'https://polygonscan.com' },
+    bsc:      { name: 'BNB Chain', chainId: 56,    dexSlug: 'bsc',      explorer: 'https://bscscan.com' }
+  };
+  const extra = readJSON(CHAINS_FILE, null);
+  for (const [id, c] of Object.entries(extra && typeof extra === 'object' ? extra : {})) {
+    const key = id.toLowerCase();
+    const m = { ...chains[key], ...c };
+    if (!/^[a-z0-9-]+$/.test(key) || !(Number(m.chainId) > 0) || !m.dexSlug) {
+      console.warn(`chains.json: ignoring "${id}" (needs chainId and dexSlug)`);
+      continue;
+    }
+    chains[key] = { name: String(m.name || key), chainId: Number(m.chainId), dexSlug: String(m.dexSlug), explorer: String(m.explorer || '') };
+  }
+  return chains;
+})();
+const chainInfo = (chain)=> CHAINS[chain] || CHAINS[DEFAULT_CHAIN];
+
+// Route/body input: `0x…` (chain from `chain`, else the default) or `chain:0x…`; null when invalid
+function parseTokenRef(raw, chain) {
+  const ref = parseTokenKey(raw);
+  if (chain && !String(raw || '').includes(':')) ref.chain = String(chain).toLowerCase();
+  if (!CHAINS[ref.chain] || !/^0x[0-9a-f]{40}$/.test(ref.ca)) return null;
+  return { ...ref, key: tokenKey(ref.chain, ref.ca) };
+}
 
 // ---------- Data defaults ----------
 function ensureTokensLib() {
   const lib = readJSON(TOKENS_LIB_FILE, null) || { tokens: [], tokenPairs: {} };
   if (!Array.isArray(lib.tokens)) lib.tokens = [];
   if (!lib.tokenPairs || typeof lib.tokenPairs !== 'object') lib.tokenPairs = {};
-  // normalize lowercase
-  lib.tokens = Array.from(new Set(lib.tokens.map(x=> String(x).toLowerCase())));
+  // normalize lowercase `chain:ca` keys (bare addresses from older files migrate to the default chain)
+  const normKey = (k)=> { const r = parseTokenKey(k); return tokenKey(r.chain, r.ca); };
+  lib.tokens = Array.from(new Set(lib.tokens.map(normKey)));
   const fixed = {};
   for (const [k,v] of Object.entries(lib.tokenPairs)) {
-    const key = k.toLowerCase();
+    const key = normKey(k);
     const list = Array.isArray(v) ? v : [];
     fixed[key] = Array.from(new Set(list.map(p=>String(p).toLowerCase())));
   }
   lib.tokenPairs = fixed;
+  // per-token metadata (enabled/label/tags/notes); only kept for tokens still in the list
+  const meta = {};
+  for (const [k,v] of Object.entries(lib.tokenMeta && typeof lib.tokenMeta === 'object' ? lib.tokenMeta : {})) meta[normKey(k)] = v;
+  lib.tokenMeta = {};
+  for (const key of lib.tokens) lib.tokenMeta[key] = normalizeTokenMeta(meta[key]);
+  return lib;
+}
+function normalizeTokenMeta(m) {
+  m = (m && typeof m === 'object') ? m : {};
+  return {
+    enabled: m.enabled !== false,
+    label: typeof m.label === 'string' ? m.label : '',
+    tags: Array.isArray(m.tags) ? m.tags.map(String) : [],
+    notes: typeof m.notes === 'string' ? m.notes : '',
+    source: typeof m.source === 'string' ? m.source : 'manual',
+    addedAt: Number.isFinite(m.addedAt) ? m.addedAt : null
+  };
+}
+// Re-read → mutate → write, so long-running scans never clobber edits made meanwhile.
+// The mutator may return false to skip the write.
+function updateTokensLib(mutator) {
+  const lib = ensureTokensLib();
+  if (mutator(lib) === false) return lib;
+  writeJSON(TOKENS_LIB_FILE, lib);
   return lib;
 }
+const enabledTokens = (lib)=> lib.tokens.filter(key => lib.tokenMeta[key]?.enabled !== false);
 function ensureSnapshots() {
   const s = readJSON(SNAPSHOTS_FILE, null) || { latest: null, history: [] };
   if (!Array.isArray(s.history)) s.history = [];
   return s;
 }
+function ensureScans() {
+  const s = readJSON(SCANS_FILE, null) || { runs: [] };
+  if (!Array.isArray(s.runs)) s.runs = [];
+  return s;
+}
+function ensureDiscovery() {
+  const d = readJSON(DISCOVERY_FILE, null) || { candidates: {}, lastRunAt: null };
+  if (!d.candidates || typeof d.candidates !== 'object') d.candidates = {};
+  // candidates are keyed `chain:ca`; bare-CA keys predate multi-chain discovery
+  for (const [k, c] of Object.entries(d.candidates)) {
+    const { chain, ca } = parseTokenKey(k);
+    const key = tokenKey(c.chain || chain, ca);
+    if (k !== key) { delete d.candidates[k]; d.candidates[key] = c; }
+    Object.assign(c, { chain: c.chain || chain, ca, key });
+  }
+  return d;
+}
+function updateDiscovery(mutator) {
+  const d = ensureDiscovery();
+  if (mutator(d) === false) return d;
+  writeJSON(DISCOVERY_FILE, d);
+  return d;
+}
+function ensureAlerts() {
+  const a = readJSON(ALERTS_FILE, null) || {};
+  if (!Array.isArray(a.rules)) a.rules = [];
+  if (!Array.isArray(a.webhooks)) a.webhooks = [];
+  if (!Array.isArray(a.events)) a.events = [];
+  if (!a.lastFired || typeof a.lastFired !== 'object') a.lastFired = {};
+  if (!a.active || typeof a.active !== 'object') a.active = {};
+  return a;
+}
+function updateAlerts(mutator) {
+  const a = ensureAlerts();
+  if (mutator(a) === false) return a;
+  writeJSON(ALERTS_FILE, a);
+  return a;
+}
+function ensureAddressBook() {
+  const b = readJSON(ADDRESS_BOOK_FILE, null) || {};
+  if (!b.labels || typeof b.labels !== 'object') b.labels = {};
+  if (!Array.isArray(b.watchlists)) b.watchlists = [];
+  return b;
+}
+function updateAddressBook(mutator) {
+  const b = ensureAddressBook();
+  if (mutator(b) === false) return b;
+  writeJSON(ADDRESS_BOOK_FILE, b);
+  return b;
+}
+// Read on every /api request, so kept in memory; updateApiKeys is the only writer
+let apiKeysCache = null;
+function ensureApiKeys() {
+  if (apiKeysCache) return apiKeysCache;
+  const k = readJSON(API_KEYS_FILE, null) || {};
+  if (!Array.isArray(k.keys)) k.keys = [];
+  return (apiKeysCache = k);
+}
+function updateApiKeys(mutator) {
+  const k = structuredClone(ensureApiKeys());
+  if (mutator(k) === false) return apiKeysCache;
+  if (writeJSON(API_KEYS_FILE, k)) apiKeysCache = k; // a failed write leaves memory matching the file
+  return k;
+}
 function ensureTokenStatsFile() {
   const m = readJSON(TOKEN_STATS_FILE, null) || { byCA: {} };
   if (!m.byCA || typeof m.byCA !== 'object') m.byCA = {};
   return m;
 }
+// Returns the stored ts, or null when the write failed. `state` is the deep-scan resume state, kept
+// in its own file per token so token-stats.json stays small (omitted for uploaded / rolled-back
+// results, which drops any stored state and forces the next server scan to start from block 0).
+// `provenance` { source: server|upload|rollback, by, ... } is stored with the record and its version.
+const TOKEN_STATS_VERSIONS_MAX = 20;
+const tokenStatsVersionsFile = (ca)=> path.join(TOKEN_STATS_VERSIONS_DIR, `${ca.toLowerCase()}.json`);
+const scanStateFile = (ca)=> path.join(SCAN_STATE_DIR, `${ca.toLowerCase()}.json`);
+function saveTokenStats(ca, data, state, provenance = {}) {
+  const m = ensureTokenStatsFile();
+  const ts = Date.now();
+  const prov = { ...provenance, scanVersion: data?.meta?.scanVersion ?? null, savedAt: ts };
+  if (state) { if (!writeJSON(scanStateFile(ca), state)) return null; }
+  else fs.rmSync(scanStateFile(ca), { force: true });
+  m.byCA[ca] = { ts, data, provenance: prov };
+  if (!writeJSON(TOKEN_STATS_FILE, m)) return null;
+  // newest first; resume state is not versioned (a rollback forces the next scan to rebuild)
+  const v = readJSON(tokenStatsVersionsFile(ca), null) || {};
+  const versions = Array.isArray(v.versions) ? v.versions : [];
+  writeJSON(tokenStatsVersionsFile(ca), { versions: [{ ts, data, provenance: prov }, ...versions].slice(0, TOKEN_STATS_VERSIONS_MAX) });
+  return ts;
+}
+function readTokenStatsVersions(ca) {
+  const v = readJSON(tokenStatsVersionsFile(ca), null);
+  return Array.isArray(v?.versions) ? v.versions : [];
+}
+
+// ---------- Background jobs (in-memory, lost on restart) ----------
+const JOBS_LIMIT = 200;
+const jobs = new Map();
+
+function createJob(type, fields = {}) {
+  const now = Date.now();
+  const job = {
+    id: now.toString(36) + Math.random().toString(36).slice(2, 8),
+    type,
+    status: 'queued',              // -> 'running' -> 'done' | 'error'
+    createdAt: now,
+    startedAt: null,
+    endedAt: null,
+    progress: { done: 0, total: 0 },
+    error: null,
+    ...fields
+  };
+  jobs.set(job.id, job);
+  // drop the oldest finished jobs past the limit
+  for (const [id, j] of jobs) {
+    if (jobs.size <= JOBS_LIMIT) break;
+    if (j.status === 'done' || j.status === 'error') jobs.delete(id);
+  }
+  return job;
+}
+// Runs `work(job)`, tracking its lifecycle on the job record; resolves once finished
+async function execJob(job, work) {
+  job.status = 'running';
+  job.startedAt = Date.now();
+  broadcastJob(job);
+  try {
+    await work(job);
+    job.status = 'done';
+  } catch (e) {
+    job.status = 'error';
+    job.error = e.message || String(e);
+    console.error(`job ${job.type} ${job.id} failed:`, job.error);
+  } finally {
+    job.endedAt = Date.now();
+    broadcastJob(job);
+  }
+  return job;
+}
+// SSE gets a summary only (import jobs carry thousands of items); details via GET /api/jobs/:id
+function broadcastJob(job) {
+  broadcast('job', { id: job.id, type: job.type, status: job.status, progress: job.progress, error: job.error });
+}
+// Fire-and-forget: starts the job in the background and returns the record
+function runJob(job, work) {
+  execJob(job, work);
+  return job;
+}
+
+// ---------- Live stream (SSE) ----------
+// Events: snapshot, scan:start, scan:progress, scan:end, alert, job (summary: id, type, status, progress, error)
+const sseClients = new Set();
+function broadcast(event, data) {
+  if (!sseClients.size) return;
+  const msg = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+  for (const res of sseClients) {
+    try { res.write(msg); } catch { sseClients.delete(res); }
+  }
+}
+// keep proxies from closing idle streams
+setInterval(() => { for (const res of sseClients) { try { res.write(': ping\n\n'); } catch {} } }, 25000).unref();
+
+// ---------- Snapshot history (NDJSON per UTC day) ----------
+const dayKey = (ts)=> new Date(ts).toISOString().slice(0, 10);
+const historyFileForDay = (day)=> path.join(HISTORY_DIR, `${day}.ndjson`);
+
+function appendSnapshotHistory(snapshot) {
+  return appendNDJSON(historyFileForDay(dayKey(snapshot.ts)), snapshot);
+}
+function listHistoryDays() {
+  try {
+    return fs.readdirSync(HISTORY_DIR)
+      .filter(f => /^\d{4}-\d{2}-\d{2}\.ndjson$/.test(f))
+      .map(f => f.slice(0, 10))
+      .sort();
+  } catch { return []; }
+}
+// Accepts epoch ms or anything Date can parse ("2025-08-20", ISO strings)
+function parseTimeParam(v) {
+  if (v == null || v === '') return null;
+  const n = Number(v);
+  if (Number.isFinite(n)) return n;
+  const t = Date.parse(String(v));
+  return Number.isFinite(t) ? t : null;
+}
+// Newest first; only day files overlapping [from, to] are read
+function querySnapshotHistory({ from = null, to = null, limit = 50 } = {}) {
+  const fromDay = from != null ? dayKey(from) : null;
+  const toDay   = to   != null ? dayKey(to)   : null;
+  const days = listHistoryDays()
+    .filter(d => (!fromDay || d >= fromDay) && (!toDay || d <= toDay))
+    .reverse();
+  const out = [];
+  for (const d of days) {
+    const list = readNDJSON(historyFileForDay(d))
+      .filter(s => Number.isFinite(s?.ts) && (from == null || s.ts >= from) && (to == null || s.ts <= to))
+      .sort((a,b)=> b.ts - a.ts);
+    for (const s of list) {
+      out.push(s);
+      if (out.length >= limit) return out;
+    }
+  }
+  return out;
+}
+function findSnapshotByTs(ts) {
+  return readNDJSON(historyFileForDay(dayKey(ts))).find(s => s?.ts === ts) || null;
+}
+// One-off: move resume state that older versions kept inside token-stats.json to data/scan-state/
+function migrateScanState() {
+  const m = ensureTokenStatsFile();
+  const ids = Object.keys(m.byCA).filter(id => m.byCA[id]?.state);
+  if (!ids.length) return;
+  for (const id of ids) {
+    if (!writeJSON(scanStateFile(id), m.byCA[id].state)) return; // keep the inline copy until it is safe
+    delete m.byCA[id].state;
+  }
+  writeJSON(TOKEN_STATS_FILE, m);
+  console.log(`Moved scan resume state for ${ids.length} token(s) to ${SCAN_STATE_DIR}`);
+}
+// One-off: carry the short snapshots.json history into the durable store
+function seedHistoryFromSnapshots() {
+  if (listHistoryDays().length) return;
+  const S = ensureSnapshots();
+  const seen = new Set();
+  // `snapshot` is the pre-v1.1 single-latest layout of snapshots.json
+  const candidates = [...S.history].reverse().concat([S.latest, S.snapshot]).sort((a,b)=> (a?.ts||0) - (b?.ts||0));
+  for (const snap of candidates) {
+    if (!Number.isFinite(snap?.ts) || seen.has(snap.ts)) continue;
+    seen.add(snap.ts);
+    appendSnapshotHistory(snap);
+  }
+}
+
+// ---------- Per-token time series (NDJSON per token) ----------
+const seriesFileForToken = (ca)=> path.join(SERIES_DIR, `${ca.toLowerCase()}.ndjson`);
+
+function appendTokenSeriesPoint(ts, row) {
+  return appendNDJSON(seriesFileForToken(tokenDataId(row.chain || DEFAULT_CHAIN, row.baseAddress)), {
+    ts,
+    priceChange: row.priceChange,
+    marketCap: row.marketCap,
+    fdv: row.fdv,
+    volume24h: row.volume24h,
+    priceUsd: row.priceUsd      // wallet PnL values transfers at the nearest point
+  });
+}
+// Last recorded point without reading the whole file (tail only); `ca` is a tokenDataId
+function lastTokenSeriesPoint(ca) {
+  try {
+    const fd = fs.openSync(seriesFileForToken(ca), 'r');
+    try {
+      const size = fs.fstatSync(fd).size;
+      const len = Math.min(size, 4096);
+      const buf = Buffer.alloc(len);
+      fs.readSync(fd, buf, 0, len, size - len);
+      const lines = buf.toString('utf8').split('\n').filter(l => l.trim());
+      for (let i = lines.length - 1; i >= 0; i--) {
+        try { return JSON.parse(lines[i]); } catch { /* torn first line of the tail */ }
+      }
+    } finally { fs.closeSync(fd); }
+  } catch { /* no series yet */ }
+  return null;
+}
+// Points inside the window, oldest first; thinned to ≤ SERIES_MAX_POINTS (last point per bucket)
+function readTokenSeries(ca, windowMs) {
+  return readSeriesFile(seriesFileForToken(ca), windowMs);
+}
+function readSeriesFile(file, windowMs) {
+  return windowSeries(readNDJSON(file), windowMs);
+}
+
+// ---------- Holders history (NDJSON per token, one point per deep scan) ----------
+const holdersHistoryFileForToken = (ca)=> path.join(HOLDERS_HISTORY_DIR, `${ca.toLowerCase()}.ndjson`);
+
+function appendHoldersPoint(ca, ts, result) {
+  return appendNDJSON(holdersHistoryFileForToken(ca), holdersPoint(ts, result));
+}
+
+// ---------- Holder events (NDJSON per token, diff of consecutive deep scans) ----------
+// Types: enter / exit (top 25 membership), increase / decrease (balance move ≥ HOLDER_MOVE_MIN_PCT
+// of supply), sell (transfers from a top holder into an LP pair since the previous scan)
+const HOLDER_EVENT_TYPES = ['enter', 'exit', 'increase', 'decrease', 'sell'];
+const HOLDER_EVENTS_LIMIT = 500;
+const holderEventsFileForToken = (ca)=> path.join(HOLDER_EVENTS_DIR, `${ca.toLowerCase()}.ndjson`);
+
+function appendHolderEvents(ca, ts, events) {
+  for (const e of events) appendNDJSON(holderEventsFileForToken(ca), { ts, ...e });
+}
 
 // ---------- Dexscreener helpers ----------
-async function fetchTokenAbstract(ca) {
-  const url = `https://api.dexscreener.com/tokens/v1/abstract/${ca}`;
+async function fetchTokenAbstract(ca, chain = DEFAULT_CHAIN) {
+  const url = `https://api.dexscreener.com/tokens/v1/${chainInfo(chain).dexSlug}/${ca}`;
   const res = await fetch(url);
   if (!res.ok) throw new Error(`Dexscreener token abstract HTTP ${res.status}`);
   const arr = await res.json();
@@ -82,35 +568,53 @@ async function fetchTokenAbstract(ca) {
   return arr[0];
 }
 
-// Search: discover all pairs for a token CA (and get their 24h vols in one go)
-async function searchPairsForToken(ca) {
+// Search: discover all pairs for a token CA (and get their 24h vols, liquidity, txns in one go)
+async function searchPairsForToken(ca, chain = DEFAULT_CHAIN) {
   const url = `https://api.dexscreener.com/latest/dex/search?q=${ca}`;
   const res = await fetch(url);
   if (!res.ok) throw new Error(`Dexscreener search HTTP ${res.status}`);
   const j = await res.json();
   const pairs = Array.isArray(j?.pairs) ? j.pairs : (Array.isArray(j) ? j : []);
-  // only base token matches
-  const filtered = pairs.filter(p => (p?.baseToken?.address || '').toLowerCase() === ca.toLowerCase());
+  // only base token matches on this chain
+  const slug = chainInfo(chain).dexSlug;
+  const filtered = pairs.filter(p => (p?.baseToken?.address || '').toLowerCase() === ca.toLowerCase()
+    && (!p?.chainId || String(p.chainId).toLowerCase() === slug));
   const pairAddrs = filtered
     .map(p => String(p?.pairAddress || '').toLowerCase())
     .filter(a => /^0x[0-9a-f]{40}$/.test(a));
-  const volSum = filtered.reduce((s,p)=> s + (Number(p?.volume?.h24 || 0) || 0), 0);
-  return { pairAddrs: Array.from(new Set(pairAddrs)), vol24: volSum };
+  const sum = (get)=> filtered.reduce((s,p)=> s + (Number(get(p) || 0) || 0), 0);
+  const created = filtered.map(p => Number(p?.pairCreatedAt)).filter(n => Number.isFinite(n) && n > 0);
+  return {
+    pairAddrs: Array.from(new Set(pairAddrs)),
+    vol24: sum(p => p?.volume?.h24),
+    liquidityUsd: sum(p => p?.liquidity?.usd),
+    txns: {
+      h1:  { buys: sum(p => p?.txns?.h1?.buys),  sells: sum(p => p?.txns?.h1?.sells) },
+      h24: { buys: sum(p => p?.txns?.h24?.buys), sells: sum(p => p?.txns?.h24?.sells) }
+    },
+    pairCreatedAt: created.length ? Math.min(...created) : null // oldest pair = token's listing age
+  };
 }
 
-// Aggregate 24h volume across pairs; updates tokens-lib tokenPairs when possible
-async function sumVolume24hForToken(ca, tokensLib) {
-  const key = ca.toLowerCase();
+// Aggregate 24h volume, liquidity and txns across pairs; updates tokens-lib tokenPairs when possible
+// (`key` is `chain:ca`). Without search results only vol24 is known; rows then use the abstract's pair.
+async function aggregatePairsForToken(key, tokensLib) {
+  const { chain, ca } = parseTokenKey(key);
   const known = tokensLib.tokenPairs[key] || [];
   try {
     // Fresh discovery every time we build a snapshot (keeps volumes accurate)
-    const { pairAddrs, vol24 } = await searchPairsForToken(key);
+    const found = await searchPairsForToken(ca, chain);
+    const { pairAddrs } = found;
     if (pairAddrs.length) {
-      // merge & persist discovered pairs
+      // merge & persist discovered pairs (skipped if the token was removed meanwhile)
       const merged = Array.from(new Set([ ...known, ...pairAddrs ]));
       tokensLib.tokenPairs[key] = merged;
-      writeJSON(TOKENS_LIB_FILE, tokensLib);
-      return vol24;
+      updateTokensLib(lib => {
+        if (!lib.tokens.includes(key)) return false;
+        lib.tokenPairs[key] = Array.from(new Set([ ...(lib.tokenPairs[key] || []), ...merged ]));
+      });
+      const { pairAddrs: _p, ...agg } = found;
+      return agg;
     }
   } catch (e) {
     console.warn('searchPairsForToken failed:', key, e.message);
@@ -118,20 +622,25 @@ async function sumVolume24hForToken(ca, tokensLib) {
 
   // Fallback to token abstract volume if search returns nothing
   try {
-    const t = await fetchTokenAbstract(key);
-    return Number(t?.volume?.h24 || 0);
+    const t = await fetchTokenAbstract(ca, chain);
+    return { vol24: Number(t?.volume?.h24 || 0) };
   } catch {
-    return 0;
+    return { vol24: 0 };
   }
 }
 
-function makeRowFromTokenAbstract(t, ca, volume24h) {
+// `agg` is aggregatePairsForToken()'s result; pair-level fields fall back to the abstract's own pair
+function makeRowFromTokenAbstract(t, ca, agg = {}, chain = DEFAULT_CHAIN) {
   // Market Cap fallback to FDV if marketCap is missing (for UI column)
   const mcFallback = (t?.marketCap != null ? Number(t.marketCap) : null);
   const fdvNum = (t?.fdv != null ? Number(t.fdv) : null);
   const mcForRow = (mcFallback != null ? mcFallback : (fdvNum != null ? fdvNum : null));
+  const num = (v)=> (v != null && Number.isFinite(Number(v)) ? Number(v) : null);
+  const txn = (w)=> agg.txns?.[w] || { buys: num(t?.txns?.[w]?.buys), sells: num(t?.txns?.[w]?.sells) };
+  const created = [agg.pairCreatedAt, t?.pairCreatedAt].map(Number).filter(n => Number.isFinite(n) && n > 0);
 
   return {
+    chain,
     baseAddress: (t?.baseToken?.address || ca || '').toLowerCase(),
     name: t?.baseToken?.name || '',
     symbol: t?.baseToken?.symbol || '',
@@ -143,86 +652,2028 @@ function makeRowFromTokenAbstract(t, ca, volume24h) {
     },
     marketCap: mcForRow,           // <<— table uses this (FDV fallback applied)
     fdv: fdvNum,                   // still keep raw fdv for header logic
-    volume24h: Number(volume24h || 0),
+    volume24h: Number(agg.vol24 || 0),
+    liquidityUsd: agg.liquidityUsd != null ? agg.liquidityUsd : num(t?.liquidity?.usd), // summed over pairs
+    txns: { h1: txn('h1'), h24: txn('h24') },
+    priceUsd: num(t?.priceUsd),
+    priceNative: num(t?.priceNative),
+    pairCreatedAt: created.length ? Math.min(...created) : null, // earliest pair ("new pairs" board, age column)
     url: t?.url || null
   };
 }
 
+// All pairs for a token on one chain (liquidity, volumes, pairCreatedAt per pair)
+async function fetchTokenPairs(ca, chain = DEFAULT_CHAIN) {
+  const url = `https://api.dexscreener.com/token-pairs/v1/${chainInfo(chain).dexSlug}/${ca}`;
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`Dexscreener token-pairs HTTP ${res.status}`);
+  const arr = await res.json();
+  return Array.isArray(arr) ? arr : [];
+}
+
+// ---------- Etherscan v2 (one shared, rate-limited queue for every server caller) ----------
+const esQueue = []; let esPumping = false;
+async function esPump() {
+  if (esPumping) return;
+  esPumping = true;
+  while (esQueue.length) {
+    const job = esQueue.shift();
+    try { job.resolve(await job.fn()); } catch (e) { job.reject(e); }
+    await sleep(ETHERSCAN_MIN_INTERVAL_MS);
+  }
+  esPumping = false;
+}
+function esEnqueue(fn) {
+  return new Promise((resolve, reject) => { esQueue.push({ fn, resolve, reject }); esPump(); });
+}
+// Raw Etherscan JSON ({ status, message, result })
+function etherscanRaw(params, chain = DEFAULT_CHAIN) {
+  return esEnqueue(async () => {
+    const url = new URL(ETHERSCAN_BASE);
+    url.searchParams.set('chainid', String(chainInfo(chain).chainId));
+    if (ETHERSCAN_API_KEY) url.searchParams.set('apikey', ETHERSCAN_API_KEY);
+    for (const [k,v] of Object.entries(params)) url.searchParams.set(k, String(v));
+    const res = await fetch(url, { signal: AbortSignal.timeout(30000) });
+    if (!res.ok) throw new Error('Etherscan HTTP ' + res.status);
+    return res.json();
+  });
+}
+// Same contract as the browser's apiGet(): the result payload, string results are errors
+async function etherscanGet(params, chain = DEFAULT_CHAIN) {
+  const data = await etherscanRaw(params, chain);
+  if (data?.status === '0' && typeof data.result === 'string') throw new Error(data.result);
+  return data?.result || [];
+}
+
+// ---------- Chain proxy (whitelisted Etherscan calls for the browser) ----------
+const CHAIN_ACTIONS = {
+  tokentx: 'account',
+  txlist: 'account',
+  balance: 'account',
+  tokenbalance: 'account',
+  getLogs: 'logs',
+  getcontractcreation: 'contract'
+};
+const CHAIN_RESERVED_PARAMS = new Set(['module', 'action', 'apikey', 'chainid', 'chain']);
+const chainCache = new Map();     // key -> { ts, data }
+const chainInflight = new Map();  // key -> Promise (identical concurrent calls share one upstream request)
+const chainHits = new Map();      // ip -> { windowStart, count }
+
+// Returns { params } or { error }
+function parseChainParams(query) {
+  const params = {};
+  for (const [k, v] of Object.entries(query || {})) {
+    if (CHAIN_RESERVED_PARAMS.has(k)) continue;
+    if (!/^[A-Za-z0-9_]{1,32}$/.test(k)) return { error: `bad param ${k}` };
+    if (typeof v !== 'string' || v.length > 256) return { error: `bad value for ${k}` };
+    params[k] = v;
+  }
+  return { params };
+}
+function chainCacheKey(action, params) {
+  return action + '?' + Object.keys(params).sort().map(k => `${k}=${params[k]}`).join('&');
+}
+// Fixed one-minute window per IP; true when the request may proceed
+function chainRateOk(ip) {
+  const now = Date.now();
+  let h = chainHits.get(ip);
+  if (!h || now - h.windowStart >= 60 * 1000) { h = { windowStart: now, count: 0 }; chainHits.set(ip, h); }
+  h.count++;
+  return h.count <= CHAIN_PROXY.ratePerMin;
+}
+async function chainProxyGet(action, params, chain = DEFAULT_CHAIN) {
+  const key = chain + '/' + chainCacheKey(action, params);
+  const hit = chainCache.get(key);
+  if (hit && Date.now() - hit.ts < CHAIN_PROXY.cacheTtlMs) return { data: hit.data, cached: true };
+  if (chainInflight.has(key)) return { data: await chainInflight.get(key), cached: true };
+
+  const p = etherscanRaw({ module: CHAIN_ACTIONS[action], action, ...params }, chain);
+  chainInflight.set(key, p);
+  try {
+    const data = await p;
+    // don't cache upstream errors (rate limits, bad key); "No transactions found" has an array result and is cached
+    if (!(data?.status === '0' && typeof data.result === 'string')) {
+      chainCache.delete(key);
+      chainCache.set(key, { ts: Date.now(), data });
+      while (chainCache.size > CHAIN_PROXY.cacheMax) chainCache.delete(chainCache.keys().next().value);
+    }
+    return { data, cached: false };
+  } finally {
+    chainInflight.delete(key);
+  }
+}
+setInterval(() => {
+  const now = Date.now();
+  for (const [ip, h] of chainHits) if (now - h.windowStart >= 60 * 1000) chainHits.delete(ip);
+  for (const [k, c] of chainCache) if (now - c.ts >= CHAIN_PROXY.cacheTtlMs) chainCache.delete(k);
+}, 5 * 60 * 1000).unref();
+
+// ---------- Deep scan (holders + first buyers) ----------
+// Server port of the browser scan in abs-tabs-integration.js; result shape { meta, a, b } is unchanged
+const ZERO_ADDR = '0x0000000000000000000000000000000000000000';
+const DEAD_ADDR = '0x000000000000000000000000000000000000dead';
+const TRANSFER_TOPIC = '0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef';
+const SOLD_ALL_SMALL_HOLD = 2000;  // heuristic
+const VERIFY_TOP_N = 150;
+const SCAN_VERSION = 2;   // bump to invalidate stored resume state
+
+const toBI = (s)=> { try { return BigInt(s); } catch { return 0n; } };
+function pctUnits(numBI, denBI) {
+  if (denBI === 0n) return 0;
+  const SCALE = 1_000_000n;
+  return Number((numBI * SCALE) / denBI) / 10_000;
+}
+function unitsToNum(valueStr, dec = 18) {
+  const v = toBI(valueStr || '0'); const d = 10n ** BigInt(dec);
+  const whole = v / d; const frac = v % d;
+  const fs_ = frac.toString().padStart(dec, '0').replace(/0+$/, '').slice(0, 6);
+  return Number(whole.toString() + (fs_ ? '.' + fs_ : ''));
+}
+const topicToAddress = (topic)=> '0x' + String(topic).slice(26).toLowerCase();
+function chooseDecimals(txs) {
+  const freq = new Map();
+  for (const t of txs) { const d = parseInt(String(t.tokenDecimal || ''), 10); if (Number.isFinite(d) && d >= 0 && d <= 18) freq.set(d, (freq.get(d) || 0) + 1); }
+  if (!freq.size) return 18;
+  let best = 18, cnt = -1;
+  for (const [d,c] of freq.entries()) { if (c > cnt || (c === cnt && d > best)) { best = d; cnt = c; } }
+  return best;
+}
+
+// Etherscan caps page × offset at 10000, so page forward by block instead: each full window is cut
+// back to before its last block, and the next one starts at that block (so no block is split across
+// windows). Errors propagate — a silently truncated transfer list would skew every holder balance.
+const TOKENTX_WINDOW = 10000;
+async function fetchAllTokenTx(contract, startblock = 0, chain = DEFAULT_CHAIN) {
+  const all = [], seen = new Set();
+  let from = Number(startblock) || 0;
+  for (;;) {
+    const arr = await etherscanGet({ module:'account', action:'tokentx', contractaddress: contract, startblock: from, endblock: 99999999, page: 1, offset: TOKENTX_WINDOW, sort:'asc' }, chain);
+    if (!Array.isArray(arr)) throw new Error('Etherscan tokentx: unexpected result');
+    const full = arr.length >= TOKENTX_WINDOW;
+    const last = full ? Number(arr[arr.length - 1].blockNumber) : null;
+    const rows = full ? arr.filter(t => Number(t.blockNumber) < last) : arr;
+    if (full && !rows.length) throw new Error(`Etherscan tokentx: block ${last} alone holds ≥ ${TOKENTX_WINDOW} transfers`);
+    for (const t of rows) {
+      const key = t.logIndex != null ? `${t.hash}:${t.logIndex}` : null;  // belt and braces; windows don't overlap
+      if (key) { if (seen.has(key)) continue; seen.add(key); }
+      all.push(t);
+    }
+    if (!full) return all;
+    from = last;
+  }
+}
+async function tokenBalanceOf(contract, holder, chain = DEFAULT_CHAIN) {
+  const r = await etherscanGet({ module:'account', action:'tokenbalance', address: holder, contractaddress: contract, tag:'latest' }, chain);
+  const raw = r != null ? String(r) : '0';
+  return /^[0-9]+$/.test(raw) ? BigInt(raw) : 0n;
+}
+async function getContractCreator(contract, chain = DEFAULT_CHAIN) {
+  const r = await etherscanGet({ module:'contract', action:'getcontractcreation', contractaddresses: contract }, chain).catch(()=>[]);
+  return (Array.isArray(r) && r[0]?.contractCreator) ? String(r[0].contractCreator).toLowerCase() : '';
+}
+async function getFirst27Receivers(token, chain = DEFAULT_CHAIN) {
+  const logs = await etherscanGet({ module:'logs', action:'getLogs', address: token, topic0: TRANSFER_TOPIC, fromBlock: 0, toBlock: 'latest' }, chain).catch(()=>[]);
+  const seen = new Set(); const out = [];
+  for (const l of Array.isArray(logs) ? logs : []) {
+    if (!Array.isArray(l.topics) || l.topics.length < 3) continue;
+    const to = topicToAddress(l.topics[2]);
+    if (seen.has(to)) continue;
+    out.push({ address: to, timeStamp: Number(l.timeStamp || l.blockTimestamp || 0), txHash: l.transactionHash, firstInAmount: 0 });
+    seen.add(to);
+    if (out.length >= 27) break; // we will drop the first two (likely LP/mints)
+  }
+  return out.slice(2);
+}
+async function enrichReceiverStats(token, rec, chain = DEFAULT_CHAIN) {
+  const txs = await etherscanGet({ module:'account', action:'tokentx', address: rec.address, contractaddress: token, startblock: 0, endblock: 99999999, sort:'asc' }, chain).catch(()=>[]);
+  if (!Array.isArray(txs) || !txs.length) return { ...rec, totalIn:0, totalOut:0, holdings:0, firstInAmount:0, status:'sold all', sClass:'s-sold' };
+  let totalIn = 0, totalOut = 0, firstIn = 0, holdings = 0, earliestTs = Infinity;
+  const me = rec.address.toLowerCase();
+  for (const t of txs) {
+    const amt = unitsToNum(t.value, Number(t.tokenDecimal || 18));
+    const to = (t.to || '').toLowerCase(); const from = (t.from || '').toLowerCase();
+    if (to === me) { totalIn += amt; holdings += amt; if (Number(t.timeStamp) < earliestTs) { earliestTs = Number(t.timeStamp); firstIn = amt; } }
+    else if (from === me) { totalOut += amt; holdings -= amt; }
+  }
+  const EPS = 1e-9; let status = 'hold', sClass = 's-hold'; const h = Math.max(0, holdings);
+  if (Math.abs(h) <= EPS || h < SOLD_ALL_SMALL_HOLD - EPS) { status = 'sold all'; sClass = 's-sold'; }
+  else if (Math.abs(h - firstIn) <= EPS) { status = 'hold'; sClass = 's-hold'; }
+  else if ((totalIn - firstIn) > EPS && Math.abs(totalIn - h) <= EPS) { status = 'bought more'; sClass = 's-more'; }
+  else if (h < firstIn - EPS) { status = 'sold part'; sClass = 's-part'; }
+  return { ...rec, firstInAmount: firstIn, timeStamp: earliestTs !== Infinity ? earliestTs : rec.timeStamp, totalIn, totalOut, holdings: h, status, sClass };
+}
+
+// Who sent ETH / WETH to `addr` up to `cutoffTs` (its first token receipt) — port of the browser helper.
+// Returns [{ address, count, eth, weth, block, ts }], block/ts of each funder's first transfer.
+async function getFundingWallets(addr, cutoffTs, chain = DEFAULT_CHAIN) {
+  const me = addr.toLowerCase();
+  const range = { startblock: 0, endblock: 99999999, sort: 'asc' };
+  const [nativeTxs, erc20Txs] = await Promise.all([
+    etherscanGet({ module:'account', action:'txlist', address: me, ...range }, chain).catch(()=>[]),
+    etherscanGet({ module:'account', action:'tokentx', address: me, ...range }, chain).catch(()=>[])
+  ]);
+  const before = (t)=> !cutoffTs || Number(t.timeStamp) <= Number(cutoffTs);
+  const byFrom = new Map();
+  const add = (t, key, amount) => {
+    const from = (t.from || '').toLowerCase();
+    const f = byFrom.get(from) || { address: from, count: 0, eth: 0, weth: 0, block: Number(t.blockNumber) || 0, ts: Number(t.timeStamp) || 0 };
+    f.count++; f[key] += amount;
+    byFrom.set(from, f);
+  };
+  for (const t of Array.isArray(nativeTxs) ? nativeTxs : []) {
+    if ((t.to || '').toLowerCase() === me && before(t) && t.isError !== '1') add(t, 'eth', Number(t.value || 0) / 1e18);
+  }
+  for (const t of Array.isArray(erc20Txs) ? erc20Txs : []) {
+    if ((t.tokenSymbol || '').toUpperCase() === 'WETH' && (t.to || '').toLowerCase() === me && before(t)) add(t, 'weth', unitsToNum(t.value, Number(t.tokenDecimal || 18)));
+  }
+  return [...byFrom.values()].filter(f => f.address && f.address !== ZERO_ADDR);
+}
+
+// Resume state in data/scan-state/<id>.json (not sent to the browser).
+// Raw transfer-derived balances + on-chain verified overrides, as decimal strings keyed by address.
+function loadScanState(id) {
+  const st = readJSON(scanStateFile(id), null);
+  if (!st || st.version !== SCAN_VERSION || !Number.isFinite(st.lastBlock)) return null;
+  return st;
+}
+
+// job: { ca, chain, stage, progress, full? } — stage/progress are updated as the scan advances.
+// With stored state only transfers after state.lastBlock are fetched; job.full forces a rebuild.
+async function runDeepScan(job) {
+  const contract = job.ca;
+  const chain = job.chain || DEFAULT_CHAIN;
+  const id = tokenDataId(chain, contract);
+  const stage = (msg, done = 0, total = 0) => {
+    job.stage = msg;
+    job.progress = { done, total };
+    broadcastJob(job);
+  };
+  const prevState = job.full ? null : loadScanState(id);
+  const lastData = ensureTokenStatsFile().byCA[id]?.data || null; // holder events diff against it, full or not
+  const prevData = prevState ? lastData : null;
+  const incremental = !!(prevState && prevData);
+
+  stage(incremental ? `Downloading transfers since block ${prevState.lastBlock}…` : 'Downloading token transfer history…');
+  const fetched = await fetchAllTokenTx(contract, incremental ? prevState.lastBlock : 0, chain);
+  // the last processed block is re-fetched (it may have been partially indexed); skip what we already applied
+  const seenKeys = new Set(incremental ? prevState.lastBlockKeys : []);
+  const txKey = (t) => `${t.hash}:${t.logIndex ?? t.transactionIndex ?? ''}:${t.from}:${t.to}:${t.value}`;
+  const txs = fetched.filter(t => !(incremental && Number(t.blockNumber) === prevState.lastBlock && seenKeys.has(txKey(t))));
+  if (!incremental && !txs.length) throw new Error('No transactions found for this token.');
+
+  const tokenDecimals = incremental ? prevState.decimals : chooseDecimals(txs);
+  const scale = 10 ** tokenDecimals;
+
+  stage('Resolving creator & supply metrics…');
+  const creatorAddress = incremental ? prevState.creator : await getContractCreator(contract, chain);
+
+  // LP pair addresses (for LP bubbles)
+  let pairAddresses = [];
+  let pairs = [];
+  try {
+    pairs = await fetchTokenPairs(contract, chain);
+    for (const p of pairs) {
+      let pa = String(p?.pairAddress || '').toLowerCase(); if (!pa) continue;
+      if (pa.includes(':')) pa = pa.split(':')[0];
+      if (/^0x[a-f0-9]{40}$/.test(pa)) pairAddresses.push(pa);
+    }
+  } catch {}
+  if (!pairAddresses.length && incremental) pairAddresses = prevState.pairs || [];
+  pairAddresses = Array.from(new Set(pairAddresses));
+  const pairSet = new Set(pairAddresses);
+  const burnSet = new Set([ZERO_ADDR, DEAD_ADDR]);
+
+  const balances = {};
+  const verified = {};
+  const firstInMap = new Map();
+  let mintedUnits = 0n, burnedUnits = 0n;
+  let lastBlock = 0;
+  if (incremental) {
+    for (const [a,v] of Object.entries(prevState.balances)) balances[a] = toBI(v);
+    for (const [a,v] of Object.entries(prevState.verified || {})) verified[a] = toBI(v);
+    for (const [a,[ts,v]] of Object.entries(prevState.firstIn || {})) firstInMap.set(a, { ts, v: toBI(v) });
+    mintedUnits = toBI(prevState.minted); burnedUnits = toBI(prevState.burned);
+    lastBlock = prevState.lastBlock;
+  }
+
+  const changed = new Set();
+  // sells to LP since the last server scan (uploaded results carry no block to count from)
+  const sellsSince = Number(lastData?.meta?.lastBlock) || 0;
+  const sellUnits = new Map();
+  for (const t of txs) {
+    const from = (t.from || t.fromAddress || '').toLowerCase(); const to = (t.to || t.toAddress || '').toLowerCase();
+    const v = toBI(t.value || '0'); const ts = Number(t.timeStamp) || 0;
+    const bn = Number(t.blockNumber) || 0;
+    if (bn > lastBlock) lastBlock = bn;
+    if (from === ZERO_ADDR) mintedUnits += v;
+    if (burnSet.has(to)) burnedUnits += v;
+    // ignore contract self-moves
+    if (from === contract || to === contract) continue;
+    if (sellsSince && bn > sellsSince && pairSet.has(to) && !pairSet.has(from)) {
+      const s = sellUnits.get(from) || { units: 0n, txs: 0, lastTs: 0 };
+      s.units += v; s.txs++; s.lastTs = Math.max(s.lastTs, ts);
+      sellUnits.set(from, s);
+    }
+    if (!burnSet.has(from)) { balances[from] = (balances[from] || 0n) - v; changed.add(from); }
+    if (!burnSet.has(to))   { balances[to]   = (balances[to] || 0n) + v; changed.add(to); }
+    if (!firstInMap.has(to) && !burnSet.has(to)) firstInMap.set(to, { ts, v });
+  }
+  for (const a of changed) delete verified[a];   // stale on-chain readings
+  const currentSupply = mintedUnits >= burnedUnits ? (mintedUnits - burnedUnits) : 0n;
+
+  stage('Building holders set…');
+  const byUnits = (a,b)=> (b.units > a.units) ? 1 : (b.units < a.units) ? -1 : 0;
+  const holderList = () => Object.entries(balances)
+    .filter(([addr]) => !burnSet.has(addr) && !pairSet.has(addr))
+    .map(([address,raw]) => ({ address, units: verified[address] ?? raw }))
+    .filter(h => h.units > 0n)
+    .sort(byUnits);
+  let holdersAll = holderList();
+
+  // verify top balances against chain at head — only holders we have no fresh reading for
+  const toVerify = holdersAll.slice(0, VERIFY_TOP_N).map(h => h.address).filter(a => !(a in verified));
+  for (let i = 0; i < toVerify.length; i++) {
+    stage('Verifying top balances…', i, toVerify.length);
+    const v = await tokenBalanceOf(contract, toVerify[i], chain).catch(()=>null);
+    if (v !== null) verified[toVerify[i]] = v;
+  }
+  holdersAll = holderList();
+
+  const holdersForBubbles = holdersAll.slice(0, 500).map(h => ({ address: h.address, balance: Number(h.units) / scale, pct: currentSupply > 0n ? pctUnits(h.units, currentSupply) : 0 }));
+  const lpNodes = [];
+  for (const pa of pairAddresses) {
+    const units = await tokenBalanceOf(contract, pa, chain).catch(()=>0n);
+    lpNodes.push({ address: pa, balance: Number(units) / scale, pct: currentSupply > 0n ? pctUnits(units, currentSupply) : 0, __type: 'lp' });
+  }
+  const top10Pct = holdersForBubbles.slice(0, 10).reduce((s,h)=> s + (h.pct || 0), 0);
+  const creatorPct = creatorAddress ? (holdersForBubbles.find(h => h.address === creatorAddress)?.pct || 0) : 0;
+
+  const result = {
+    meta: { contract, chain, scanVersion: SCAN_VERSION, source: 'server', scannedAt: null, incremental, newTransfers: txs.length, lastBlock },
+    a: {
+      tokenDecimals,
+      minted: Number(mintedUnits) / scale,
+      burned: Number(burnedUnits) / scale,
+      currentSupply: Number(currentSupply) / scale,
+      totalHolders: holdersAll.length,
+      top10Pct,
+      creatorAddress,
+      creatorPct,
+      holdersForBubbles,
+      lpNodes
+    },
+    b: {}
+  };
+
+  // B (holders + receivers)
+  const top25 = holdersAll.slice(0, 25).map((h,i) => {
+    const first = firstInMap.get(h.address) || { ts: 0, v: 0n };
+    return {
+      rank: i + 1,
+      address: h.address,
+      firstIn: Number(first.v) / scale,
+      holdings: Number(h.units) / scale,
+      pct: currentSupply > 0n ? pctUnits(h.units, currentSupply) : 0
+    };
+  });
+
+  // the first receivers never change once there are 25 of them; re-enrich only wallets that moved
+  const prevFirst = incremental && Array.isArray(prevData.b?.first25) ? prevData.b.first25 : [];
+  let enriched;
+  if (prevFirst.length >= 25) {
+    const redo = prevFirst.filter(r => changed.has(r.address));
+    const fresh = new Map();
+    for (let i = 0; i < redo.length; i++) {
+      stage('Updating first buyers that moved…', i, redo.length);
+      const st = await enrichReceiverStats(contract, redo[i], chain).catch(()=>null);
+      if (st) fresh.set(st.address, st);
+    }
+    enriched = prevFirst.map(r => fresh.get(r.address) || r);
+  } else {
+    stage('Fetching Transfer logs…');
+    const receivers = await getFirst27Receivers(contract, chain);
+    enriched = [];
+    for (let i = 0; i < receivers.length; i++) {
+      stage('Computing totals & statuses per wallet…', i, receivers.length);
+      const st = await enrichReceiverStats(contract, receivers[i], chain).catch(()=>null);
+      if (st) enriched.push(st);
+    }
+  }
+  result.b = { first25: enriched.slice(0, 25), top25 };
+
+  // funders of the first buyers + top holders: funding before a wallet's first receipt never changes,
+  // so it is kept in state and only new wallets are traced
+  const funders = incremental ? { ...(prevState.funders || {}) } : {};
+  const traced = new Map();
+  for (const r of result.b.first25) traced.set(r.address, r.timeStamp);
+  for (const h of top25) if (!traced.has(h.address)) traced.set(h.address, firstInMap.get(h.address)?.ts || 0);
+  const unfunded = [...traced.keys()].filter(a => !funders[a]);
+  for (let i = 0; i < unfunded.length; i++) {
+    stage('Tracing funding wallets…', i, unfunded.length);
+    const f = await getFundingWallets(unfunded[i], traced.get(unfunded[i]), chain).catch(()=>null);
+    if (f) funders[unfunded[i]] = f.filter(x => !pairSet.has(x.address));
+  }
+  const pctOf = (a)=> { const u = verified[a] ?? balances[a] ?? 0n; return u > 0n && currentSupply > 0n ? pctUnits(u, currentSupply) : 0; };
+  result.clusters = buildFundingClusters([...traced.keys()], funders, pctOf);
+  result.risk = scoreTokenRisk({ a: result.a, b: result.b, pairs, funders });
+  const sells = new Map([...sellUnits].map(([a,s]) => [a, { amount: Number(s.units) / scale, pct: currentSupply > 0n ? pctUnits(s.units, currentSupply) : 0, txs: s.txs, lastTs: s.lastTs }]));
+  const holderEvents = diffHolderScans(lastData, result, sells, pctOf);
+  result.meta.holderEvents = holderEvents.length;
+
+  stage('Saving…');
+  result.meta.scannedAt = Date.now();
+  const strMap = (o) => Object.fromEntries(Object.entries(o).map(([a,v]) => [a, v.toString()]));
+  const lastBlockKeys = incremental && lastBlock === prevState.lastBlock ? [...seenKeys] : [];
+  for (const t of txs) if (Number(t.blockNumber) === lastBlock) lastBlockKeys.push(txKey(t));
+  const state = {
+    version: SCAN_VERSION,
+    chain,
+    lastBlock,
+    lastBlockKeys,
+    decimals: tokenDecimals,
+    creator: creatorAddress,
+    pairs: pairAddresses,
+    minted: mintedUnits.toString(),
+    burned: burnedUnits.toString(),
+    balances: strMap(Object.fromEntries(Object.entries(balances).filter(([,v]) => v !== 0n))),
+    verified: strMap(verified),
+    firstIn: Object.fromEntries([...firstInMap].map(([a,f]) => [a, [f.ts, f.v.toString()]])),
+    funders
+  };
+  const ts = saveTokenStats(id, result, state, { source: 'server', by: job.requestedBy || 'server', jobId: job.id, incremental });
+  if (!ts) throw new Error('persist failed');
+  appendHoldersPoint(id, ts, result);
+  if (holderEvents.length) {
+    appendHolderEvents(id, ts, holderEvents);
+    broadcast('holder-events', { ca: contract, chain, ts, events: holderEvents });
+    evaluateAlerts({ holderEvents, token: { baseAddress: contract, chain, ...latestRowInfo(chain, contract) } });
+  }
+  job.result = { ts, incremental, newTransfers: txs.length, reverified: toVerify.length, holderEvents: holderEvents.length };
+  stage('Done');
+  return result;
+}
+
+// Deep scans run one at a time (they share the Etherscan queue); one active job per token
+const deepScanQueue = [];
+let deepScanPumping = false;
+// `requestedBy` (API key name, 'scheduler', 'anonymous') ends up in the saved result's provenance
+function enqueueDeepScan(ca, { full = false, chain = DEFAULT_CHAIN, requestedBy = null } = {}) {
+  for (const j of jobs.values()) {
+    if (j.type === 'deep-scan' && j.ca === ca && j.chain === chain && (j.status === 'queued' || j.status === 'running')) return { job: j, existing: true };
+  }
+  const job = createJob('deep-scan', { ca, chain, full, requestedBy, stage: 'Queued', result: null });
+  deepScanQueue.push(job);
+  pumpDeepScans();
+  return { job, existing: false };
+}
+async function pumpDeepScans() {
+  if (deepScanPumping) return;
+  deepScanPumping = true;
+  while (deepScanQueue.length) await execJob(deepScanQueue.shift(), runDeepScan);
+  deepScanPumping = false;
+}
+
+// Re-queues every token that has resume state; incremental scans keep this cheap
+function startHoldersRescanScheduler() {
+  if (!(HOLDERS_RESCAN_INTERVAL_MS > 0)) {
+    console.log('Holders re-scan disabled (HOLDERS_RESCAN_INTERVAL_MS=0)');
+    return;
+  }
+  setInterval(() => {
+    const recs = Object.entries(ensureTokenStatsFile().byCA)
+      .map(([id, r]) => ({ ca: r?.data?.meta?.contract, state: loadScanState(id) }))
+      .filter(r => r.ca && r.state);
+    for (const r of recs) enqueueDeepScan(r.ca, { chain: r.state.chain || DEFAULT_CHAIN, requestedBy: 'scheduler' });
+    if (recs.length) console.log(`Holders re-scan: queued ${recs.length} token(s)`);
+  }, HOLDERS_RESCAN_INTERVAL_MS).unref();
+  console.log(`Holders re-scan every ${Math.round(HOLDERS_RESCAN_INTERVAL_MS / 60000)} min`);
+}
+
+// ---------- Risk score ----------
+// Leaderboard rows carry only the badge; the reasons stay with the deep-scan result
+function riskBadge(statsByCA, chain, ca) {
+  const r = statsByCA[tokenDataId(chain, ca)]?.data?.risk;
+  return r && Number.isFinite(r.score) ? { score: r.score, level: r.level, ts: r.ts } : null;
+}
+
+// ---------- Leaderboards (data/boards.json) ----------
+// { boards: [{ id, label, sort: { field, dir: 'desc'|'asc' }, filters?: [{ field, min?, max? }], limit? }] }
+// Fields are row paths (BOARD_FIELDS); a filter keeps rows with min ≤ value < max. Re-read on every scan, so boards are added/edited without a restart.
+// Without a (valid) file the snapshot carries the original two boards.
+const BOARD_FIELDS = ['priceChange.m5', 'priceChange.h1', 'priceChange.h6', 'priceChange.h24', 'volume24h', 'marketCap', 'fdv', 'pairCreatedAt',
+  'liquidityUsd', 'priceUsd', 'txns.h1.buys', 'txns.h1.sells', 'txns.h24.buys', 'txns.h24.sells', 'risk.score'];
+// board ids become snapshot keys, so they may not shadow the snapshot's own fields
+const BOARD_RESERVED_IDS = new Set(['ts', 'chain', 'chains', 'chainTokens', 'banner', 'boards', 'byChain', 'tokens', 'tokensTracked']);
+const BOARD_LIMIT_MAX = 50;
+
+// Validates one board definition; returns { board } or { error }
+function parseBoard(b) {
+  if (!b || typeof b !== 'object') return { error: 'board must be an object' };
+  const id = String(b.id || '');
+  if (!/^[A-Za-z][A-Za-z0-9_]{0,31}$/.test(id) || BOARD_RESERVED_IDS.has(id)) return { error: `bad board id "${id}"` };
+  const field = b.sort?.field;
+  const dir = b.sort?.dir || 'desc';
+  if (!BOARD_FIELDS.includes(field)) return { error: `${id}: sort.field must be one of ${BOARD_FIELDS.join(', ')}` };
+  if (dir !== 'desc' && dir !== 'asc') return { error: `${id}: sort.dir must be desc or asc` };
+  const filters = [];
+  for (const f of Array.isArray(b.filters) ? b.filters : []) {
+    const min = f?.min != null ? Number(f.min) : null;
+    const max = f?.max != null ? Number(f.max) : null;
+    if (!BOARD_FIELDS.includes(f?.field)) return { error: `${id}: filter field must be one of ${BOARD_FIELDS.join(', ')}` };
+    if ((min != null && !Number.isFinite(min)) || (max != null && !Number.isFinite(max))) return { error: `${id}: filter min/max must be numbers` };
+    filters.push({ field: f.field, min, max });
+  }
+  const limit = b.limit != null ? Number(b.limit) : 15;
+  if (!Number.isInteger(limit) || limit < 1 || limit > BOARD_LIMIT_MAX) return { error: `${id}: limit must be 1–${BOARD_LIMIT_MAX}` };
+  return { board: { id, label: typeof b.label === 'string' && b.label ? b.label.slice(0, 40) : id, sort: { field, dir }, filters, limit } };
+}
+function loadBoards() {
+  const raw = readJSON(BOARDS_FILE, null);
+  const list = Array.isArray(raw) ? raw : raw?.boards;
+  if (!Array.isArray(list)) return FALLBACK_BOARDS;
+  const boards = [];
+  for (const b of list) {
+    const { board, error } = parseBoard(b);
+    if (error) { console.warn('boards.json:', error); continue; }
+    if (boards.some(x => x.id === board.id)) { console.warn(`boards.json: duplicate board id "${board.id}"`); continue; }
+    boards.push(board);
+  }
+  return boards.length ? boards : FALLBACK_BOARDS;
+}
+const rowField = (row, field)=> field.split('.').reduce((o, k)=> o?.[k], row);
+// Filters with missing values exclude the row; sorting treats missing values as 0 (as the original boards did)
+function buildBoard(def, rows) {
+  const picked = rows.filter(r => def.filters.every(f => {
+    const v = rowField(r, f.field);
+    if (v == null || !Number.isFinite(Number(v))) return false;
+    return (f.min == null || Number(v) >= f.min) && (f.max == null || Number(v) < f.max);
+  }));
+  const sign = def.sort.dir === 'asc' ? -1 : 1;
+  picked.sort((a,b)=> sign * (Number(rowField(b, def.sort.field)||0) - Number(rowField(a, def.sort.field)||0)));
+  return picked.slice(0, def.limit);
+}
+
 // ---------- Snapshot Builder ----------
-async function buildSnapshot() {
+// `run` (optional) is the scan-run record; per-token outcomes are tallied on it
+async function buildSnapshot(run = null) {
   const tokensLib = ensureTokensLib();
-  const tokens = tokensLib.tokens || [];
+  const tokens = enabledTokens(tokensLib); // disabled tokens are paused, not scanned
+  const boards = loadBoards();
+  const stats = ensureTokenStatsFile().byCA;
+  if (run) run.tokens = tokens.length;
 
   const rows = [];
-  for (const ca of tokens) {
+  let done = 0;
+  for (const key of tokens) {
+    const { chain, ca } = parseTokenKey(key);
+    let error = null;
     try {
-      const t = await fetchTokenAbstract(ca);
-      const vol24 = await sumVolume24hForToken(ca, tokensLib); // also updates tokenPairs in lib
-      rows.push(makeRowFromTokenAbstract(t, ca, vol24));
+      if (!CHAINS[chain]) throw new Error(`unknown chain ${chain}`);
+      const t = await fetchTokenAbstract(ca, chain);
+      const agg = await aggregatePairsForToken(key, tokensLib); // also updates tokenPairs in lib
+      rows.push({ ...makeRowFromTokenAbstract(t, ca, agg, chain), risk: riskBadge(stats, chain, ca) });
+      if (run) run.succeeded++;
     } catch (e) {
-      console.warn('Token fetch failed:', ca, e.message);
+      error = e.message || String(e);
+      console.warn('Token fetch failed:', key, error);
+      if (run) { run.failed++; run.errors.push({ ca, chain, error }); }
     }
+    done++;
+    broadcast('scan:progress', { runId: run?.id ?? null, ca, chain, error, done, total: tokens.length, succeeded: rows.length, failed: done - rows.length });
     await sleep(60);
   }
 
-  const topGainers = [...rows].sort((a,b)=> (Number(b.priceChange?.h24||0) - Number(a.priceChange?.h24||0)));
-  const topVol     = [...rows].sort((a,b)=> (Number(b.volume24h||0) - Number(a.volume24h||0)));
+  // one set of leaderboards per chain; the top-level boards mirror DEFAULT_CHAIN for older readers
+  const byChain = {};
+  for (const key of tokens) {
+    const { chain } = parseTokenKey(key);
+    if (CHAINS[chain] && !byChain[chain]) byChain[chain] = buildChainBoards(chain, rows.filter(r => r.chain === chain), boards);
+    if (byChain[chain]) byChain[chain].tokens = (byChain[chain].tokens || 0) + 1;
+  }
+  const { tokens: _n, ...main } = byChain[DEFAULT_CHAIN] || buildChainBoards(DEFAULT_CHAIN, [], boards);
+
+  const ts = Date.now();
+  const snapshot = {
+    ts,
+    chain: DEFAULT_CHAIN,
+    ...main,                          // banner + one key per board id
+    boards: boards.map(b => ({ id: b.id, label: b.label, sort: b.sort })),
+    tokensTracked: tokens.length,
+    byChain
+  };
+
+  // snapshots.json keeps a short recent window; the durable record is data/history/
+  const S = ensureSnapshots();
+  // alert rules compare against the previous scan, so evaluate before this scan's points land
+  evaluateAlerts({ snapshot, prevSnapshot: S.latest || null, rows });
+  for (const r of rows) appendTokenSeriesPoint(ts, r);
+  S.latest = snapshot;
+  S.history.unshift(snapshot);
+  S.history = S.history.slice(0, 5);
+  writeJSON(SNAPSHOTS_FILE, S);
+  appendSnapshotHistory(snapshot);
+  broadcast('snapshot', { snapshot });
+
+  return snapshot;
+}
 
+function buildChainBoards(chain, rows, boards = FALLBACK_BOARDS) {
   const volSum = rows.reduce((s,r)=> s + (Number(r.volume24h)||0), 0);
   // Header "Market Cap" shows FDV as fallback if marketCap missing
   const capAny = (rows.find(r=> Number.isFinite(r.marketCap))?.marketCap)
               ?? (rows.find(r=> Number.isFinite(r.fdv))?.fdv)
               ?? 0;
-
-  const snapshot = {
-    ts: Date.now(),
-    chain: 'abstract',
+  return {
     banner: {
       holders: null,
       fdv: Number.isFinite(capAny) ? Number(capAny) : null, // used by header "Market Cap"
       marketCap: null,
       vol24: volSum,
       chg24: 0,
-      url: 'https://dexscreener.com/abstract'
+      url: `https://dexscreener.com/${chainInfo(chain).dexSlug}`
     },
-    topGainers: clamp15(topGainers),
-    topVol:     clamp15(topVol),
-    tokensTracked: tokens.length
+    ...Object.fromEntries(boards.map(b => [b.id, buildBoard(b, rows)]))
   };
+}
+// A token's row in any board of a chain view (tokens outside every board's top N have none)
+function findBoardRow(view, ca) {
+  for (const b of view?.boards || []) {
+    const row = (view[b.id] || []).find(r => r.baseAddress === ca);
+    if (row) return row;
+  }
+  return null;
+}
+// `?chain=` on snapshot routes; returns null for an unknown chain
+function chainParam(req) {
+  const chain = String(req.query.chain || DEFAULT_CHAIN).toLowerCase();
+  return CHAINS[chain] ? chain : null;
+}
 
-  const S = ensureSnapshots();
-  S.latest = snapshot;
-  S.history.unshift(snapshot);
-  S.history = S.history.slice(0, 5);
-  writeJSON(SNAPSHOTS_FILE, S);
+// ---------- Scan lock + run history ----------
+let isScanning = false;
+let currentRun = null;
 
-  return snapshot;
+function newScanRun(trigger) {
+  const startedAt = Date.now();
+  return {
+    id: startedAt.toString(36) + Math.random().toString(36).slice(2, 6),
+    trigger,                       // 'schedule' | 'manual'
+    status: 'running',             // -> 'ok' | 'error'
+    startedAt,
+    endedAt: null,
+    durationMs: null,
+    tokens: 0,
+    succeeded: 0,
+    failed: 0,
+    errors: [],                    // [{ ca, error }] per dropped token
+    error: null,                   // fatal error (whole run failed)
+    snapshotTs: null
+  };
+}
+function recordScanRun(run) {
+  const S = ensureScans();
+  S.runs.unshift(run);
+  S.runs = S.runs.slice(0, SCAN_RUNS_LIMIT);
+  writeJSON(SCANS_FILE, S);
 }
 
-// ---------- Scan lock ----------
-let isScanning = false;
-async function runScan() {
+async function runScan(trigger = 'manual') {
   if (isScanning) return ensureSnapshots().latest || null;
   isScanning = true;
-  try { return await buildSnapshot(); }
-  finally { isScanning = false; }
+  const run = currentRun = newScanRun(trigger);
+  broadcast('scan:start', { runId: run.id, trigger, startedAt: run.startedAt });
+  try {
+    const snap = await buildSnapshot(run);
+    run.status = 'ok';
+    run.snapshotTs = snap?.ts ?? null;
+    return snap;
+  } catch (e) {
+    run.status = 'error';
+    run.error = e.message || String(e);
+    throw e;
+  } finally {
+    run.endedAt = Date.now();
+    run.durationMs = run.endedAt - run.startedAt;
+    recordScanRun(run);
+    currentRun = null;
+    isScanning = false;
+    broadcast('scan:end', { ...run, errors: run.errors.slice(0, 50) });
+  }
+}
+
+// ---------- Scan scheduler ----------
+let nextScanAt = null;
+let scanTimer = null;
+
+function scheduleNextScan(delayMs) {
+  if (!(SCAN_INTERVAL_MS > 0)) return;
+  const jitter = SCAN_JITTER_MS > 0 ? Math.round(Math.random() * SCAN_JITTER_MS) : 0;
+  const delay = Math.max(0, (delayMs ?? SCAN_INTERVAL_MS) + jitter);
+  nextScanAt = Date.now() + delay;
+  clearTimeout(scanTimer);
+  scanTimer = setTimeout(async () => {
+    try {
+      if (!isScanning) await runScan('schedule');
+    } catch (e) {
+      console.error('Scheduled scan failed:', e.message || e);
+    } finally {
+      scheduleNextScan();
+    }
+  }, delay);
+}
+
+function startScanScheduler() {
+  if (!(SCAN_INTERVAL_MS > 0)) {
+    console.log('Scan scheduler disabled (SCAN_INTERVAL_MS=0)');
+    return;
+  }
+  // First run as soon as the latest snapshot is due, otherwise wait out the remainder
+  const lastTs = ensureSnapshots().latest?.ts || 0;
+  const dueIn = Math.max(5000, lastTs + SCAN_INTERVAL_MS - Date.now());
+  scheduleNextScan(dueIn);
+  console.log(`Scan scheduler: every ${Math.round(SCAN_INTERVAL_MS / 1000)}s (+≤${Math.round(SCAN_JITTER_MS / 1000)}s jitter), next in ${Math.round((nextScanAt - Date.now()) / 1000)}s`);
+}
+
+// ---------- Token discovery ----------
+// Newly listed tokens on the discovery chains (DISCOVERY_CHAINS, default DEFAULT_CHAIN) from
+// Dexscreener's latest profiles/boosts + a per-chain search.
+// Candidates meeting the thresholds are added to the library disabled (source:"auto")
+// and wait in the review queue; accept enables them, reject removes + remembers them.
+const DISCOVERY_SOURCES = [
+  'https://api.dexscreener.com/token-profiles/latest/v1',
+  'https://api.dexscreener.com/token-boosts/latest/v1'
+];
+const DISCOVERY_FORGET_MS = 7 * 86400e3; // drop stale 'watching'/'skipped' candidates
+
+function discoveryChains() {
+  const list = DISCOVERY.chains.filter(c => CHAINS[c]);
+  return list.length ? list : [DEFAULT_CHAIN];
+}
+// Returns [{ chain, ca, key }] for every discovery chain (Dexscreener's chainId is our dexSlug)
+async function fetchDiscoveryCandidates() {
+  const bySlug = new Map(discoveryChains().map(c => [chainInfo(c).dexSlug, c]));
+  const found = new Map();
+  const add = (slug, addr) => {
+    const chain = bySlug.get(String(slug || '').toLowerCase());
+    const ca = String(addr || '').toLowerCase();
+    if (chain && /^0x[0-9a-f]{40}$/.test(ca)) found.set(tokenKey(chain, ca), { chain, ca, key: tokenKey(chain, ca) });
+  };
+  for (const url of DISCOVERY_SOURCES) {
+    try {
+      const res = await fetch(url);
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const list = await res.json();
+      for (const x of Array.isArray(list) ? list : []) add(x?.chainId, x?.tokenAddress);
+    } catch (e) {
+      console.warn('discovery source failed:', url, e.message);
+    }
+    await sleep(250);
+  }
+  for (const slug of bySlug.keys()) {
+    try {
+      const res = await fetch(`https://api.dexscreener.com/latest/dex/search?q=${encodeURIComponent(slug)}`);
+      if (res.ok) {
+        const j = await res.json();
+        for (const p of Array.isArray(j?.pairs) ? j.pairs : []) add(p?.chainId, p?.baseToken?.address);
+      }
+    } catch (e) {
+      console.warn('discovery search failed:', slug, e.message);
+    }
+    await sleep(250);
+  }
+  return Array.from(found.values());
+}
+
+function evaluateDiscoveryPairs(pairs) {
+  const liquidityUsd = pairs.reduce((s,p)=> s + (Number(p?.liquidity?.usd || 0) || 0), 0);
+  const volume24h = pairs.reduce((s,p)=> s + (Number(p?.volume?.h24 || 0) || 0), 0);
+  const created = pairs.map(p => Number(p?.pairCreatedAt)).filter(n => Number.isFinite(n) && n > 0);
+  const pairCreatedAt = created.length ? Math.min(...created) : null;
+  const ageMin = pairCreatedAt ? (Date.now() - pairCreatedAt) / 60000 : null;
+
+  const reasons = [];
+  if (liquidityUsd < DISCOVERY.minLiquidityUsd) reasons.push(`liquidity $${Math.round(liquidityUsd)} < $${DISCOVERY.minLiquidityUsd}`);
+  if (volume24h < DISCOVERY.minVolume24h) reasons.push(`24h volume $${Math.round(volume24h)} < $${DISCOVERY.minVolume24h}`);
+  if (ageMin == null) reasons.push('unknown pair age');
+  else if (ageMin < DISCOVERY.minAgeMin) reasons.push(`pair age ${Math.round(ageMin)}m < ${DISCOVERY.minAgeMin}m`);
+  const tooOld = ageMin != null && ageMin > DISCOVERY.maxAgeH * 60;
+  if (tooOld) reasons.push(`pair age ${Math.round(ageMin / 60)}h > ${DISCOVERY.maxAgeH}h`);
+
+  return { metrics: { liquidityUsd, volume24h, pairCreatedAt, ageMin: ageMin != null ? Math.round(ageMin) : null }, reasons, tooOld };
+}
+
+// Candidates are checked against a snapshot of discovery.json and merged back at the end, so a review
+// decision taken while the run was checking a token wins over the run's verdict
+async function runDiscovery(job = null) {
+  const found = await fetchDiscoveryCandidates();
+  const D = ensureDiscovery();
+  const tracked = new Set(ensureTokensLib().tokens);
+  const todo = found.filter(({ key }) => {
+    const c = D.candidates[key];
+    return !tracked.has(key) && !(c && ['pending', 'accepted', 'rejected', 'skipped'].includes(c.status));
+  });
+  if (job) job.progress.total = todo.length;
+  const checked = new Map(); // key → { c, pairAddrs }
+
+  for (const { chain, ca, key } of todo) {
+    const prev = D.candidates[key];
+    try {
+      const pairs = await fetchTokenPairs(ca, chain);
+      const { metrics, reasons, tooOld } = evaluateDiscoveryPairs(pairs);
+      const base = pairs[0]?.baseToken || {};
+      const c = {
+        ca,
+        chain,
+        key,
+        name: base.name || prev?.name || '',
+        symbol: base.symbol || prev?.symbol || '',
+        firstSeenAt: prev?.firstSeenAt || Date.now(),
+        lastCheckedAt: Date.now(),
+        metrics,
+        reasons,
+        status: reasons.length ? (tooOld ? 'skipped' : 'watching') : 'pending'
+      };
+      const pairAddrs = pairs.map(p => String(p?.pairAddress || '').toLowerCase()).filter(a => /^0x[0-9a-f]{40}$/.test(a));
+      checked.set(key, { c, pairAddrs });
+    } catch (e) {
+      console.warn('discovery check failed:', key, e.message);
+    }
+    if (job) job.progress.done++;
+    await sleep(250);
+  }
+
+  const added = [];
+  updateDiscovery(D => {
+    for (const [key, { c }] of checked) {
+      const cur = D.candidates[key];
+      if (cur && (cur.status === 'accepted' || cur.status === 'rejected')) checked.delete(key);
+      else D.candidates[key] = c;
+    }
+    for (const [key, c] of Object.entries(D.candidates)) {
+      if ((c.status === 'watching' || c.status === 'skipped') && Date.now() - (c.lastCheckedAt || 0) > DISCOVERY_FORGET_MS) delete D.candidates[key];
+    }
+    D.lastRunAt = Date.now();
+  });
+  for (const [key, { c, pairAddrs }] of checked) {
+    if (c.status !== 'pending') continue;
+    updateTokensLib(lib => {
+      if (lib.tokens.includes(key)) return false;
+      lib.tokens.push(key);
+      lib.tokenPairs[key] = Array.from(new Set(pairAddrs));
+      lib.tokenMeta[key] = normalizeTokenMeta({ enabled: false, source: 'auto', addedAt: Date.now(), label: c.symbol });
+    });
+    added.push(key);
+  }
+  if (job) job.result = { seen: found.length, checked: todo.length, added };
+  return added;
+}
+
+let discoveryJob = null;
+function startDiscoveryJob() {
+  if (discoveryJob && (discoveryJob.status === 'queued' || discoveryJob.status === 'running')) return discoveryJob;
+  discoveryJob = runJob(createJob('discovery'), runDiscovery);
+  return discoveryJob;
+}
+function startDiscoveryScheduler() {
+  if (!(DISCOVERY.intervalMs > 0)) return;
+  setInterval(startDiscoveryJob, DISCOVERY.intervalMs);
+  setTimeout(startDiscoveryJob, 30 * 1000);
+  console.log(`Token discovery: every ${Math.round(DISCOVERY.intervalMs / 1000)}s on ${discoveryChains().join(', ')}`);
+}
+
+// ---------- Alerts ----------
+// Rules are evaluated after every snapshot. Types:
+//   threshold       { ca?, field: m5|h1|h6|h24|volume24h|marketCap, op: > < >= <=, value }
+//   board_entry     { ca?, board, top }                      fires when a token enters a board's top N
+//                                                            (board = any id from data/boards.json)
+//   volume_multiple { ca?, factor, minVolume? }              volume24h ≥ factor × previous scan
+//   holder_event    { ca?, events: [enter|exit|increase|decrease|sell], minPct? }
+//                                                            evaluated after each deep scan instead
+//                                                            (minPct: |Δ| or sold % of supply)
+// `ca` empty = any tracked token. `chain` scopes `ca` (default DEFAULT_CHAIN, also for rules saved
+// before it existed); without `ca` it limits the rule to that chain. Threshold/volume rules are
+// edge-triggered (fire when the condition becomes true) and every rule+token pair respects the
+// rule's cooldown (holder_event: rule+token+wallet).
+const ALERT_TYPES = ['threshold', 'board_entry', 'volume_multiple', 'holder_event'];
+const ALERT_FIELDS = ['m5', 'h1', 'h6', 'h24', 'volume24h', 'marketCap'];
+const ALERT_EVENTS_LIMIT = 500;
+const newAlertId = (prefix)=> prefix + Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+
+// Validates a rule body (full create, or partial update over `prev`); returns { rule } or { error }
+function parseAlertRule(body, prev = null) {
+  const b = { ...(prev || {}), ...(body || {}) };
+  const rule = {
+    id: prev?.id || newAlertId('r_'),
+    name: typeof b.name === 'string' ? b.name.slice(0, 80) : '',
+    type: b.type,
+    enabled: b.enabled !== false,
+    ca: null,
+    chain: b.chain ? String(b.chain).toLowerCase() : null,
+    cooldownMin: b.cooldownMin != null ? Number(b.cooldownMin) : 60,
+    webhooks: Array.isArray(b.webhooks) ? b.webhooks.map(String) : [],
+    createdAt: prev?.createdAt || Date.now()
+  };
+  if (!ALERT_TYPES.includes(rule.type)) return { error: `type must be one of ${ALERT_TYPES.join(', ')}` };
+  if (rule.chain && !CHAINS[rule.chain]) return { error: `chain must be one of ${Object.keys(CHAINS).join(', ')}` };
+  if (b.ca) {
+    const ref = parseTokenRef(String(b.ca).toLowerCase(), rule.chain || DEFAULT_CHAIN);
+    if (!ref) return { error: 'bad ca' };
+    Object.assign(rule, { ca: ref.ca, chain: ref.chain });
+  }
+  if (!Number.isFinite(rule.cooldownMin) || rule.cooldownMin < 0) return { error: 'cooldownMin must be ≥ 0' };
+  if (rule.type === 'threshold') {
+    if (!ALERT_FIELDS.includes(b.field)) return { error: `field must be one of ${ALERT_FIELDS.join(', ')}` };
+    if (!ALERT_OPS[b.op]) return { error: `op must be one of ${Object.keys(ALERT_OPS).join(' ')}` };
+    if (!Number.isFinite(Number(b.value))) return { error: 'value must be a number' };
+    Object.assign(rule, { field: b.field, op: b.op, value: Number(b.value) });
+  } else if (rule.type === 'board_entry') {
+    const top = Number(b.top ?? 5);
+    const boardIds = loadBoards().map(x => x.id);
+    if (!boardIds.includes(b.board)) return { error: `board must be one of ${boardIds.join(', ')}` };
+    if (!Number.isInteger(top) || top < 1 || top > BOARD_LIMIT_MAX) return { error: `top must be 1–${BOARD_LIMIT_MAX}` };
+    Object.assign(rule, { board: b.board, top });
+  } else if (rule.type === 'volume_multiple') {
+    const factor = Number(b.factor ?? 2);
+    if (!Number.isFinite(factor) || factor <= 1) return { error: 'factor must be > 1' };
+    Object.assign(rule, { factor, minVolume: Number(b.minVolume) > 0 ? Number(b.minVolume) : 0 });
+  } else if (rule.type === 'holder_event') {
+    const events = Array.isArray(b.events) && b.events.length ? [...new Set(b.events.map(String))] : ['exit', 'decrease', 'sell'];
+    const bad = events.find(e => !HOLDER_EVENT_TYPES.includes(e));
+    if (bad) return { error: `events must be from ${HOLDER_EVENT_TYPES.join(', ')}` };
+    const minPct = Number(b.minPct ?? 0);
+    if (!Number.isFinite(minPct) || minPct < 0 || minPct > 100) return { error: 'minPct must be 0–100' };
+    Object.assign(rule, { events, minPct });
+  }
+  if (!rule.name) rule.name = describeAlertRule(rule);
+  return { rule };
+}
+function describeAlertRule(r) {
+  const where = r.chain && r.chain !== DEFAULT_CHAIN ? `${r.chain}:` : '';
+  const who = r.ca ? `${where}${r.ca.slice(0, 6)}…${r.ca.slice(-4)}` : `any ${where ? r.chain + ' ' : ''}token`;
+  if (r.type === 'threshold') return `${who} ${r.field} ${r.op} ${r.value}${ALERT_FIELDS.indexOf(r.field) < 4 ? '%' : ''}`;
+  if (r.type === 'board_entry') return `${who} enters ${r.board} top ${r.top}`;
+  if (r.type === 'holder_event') return `${who} top holder ${r.events.join('/')}${r.minPct ? ` ≥ ${r.minPct}%` : ''}`;
+  return `${who} volume24h ×${r.factor} vs previous scan`;
+}
+function parseWebhook(body) {
+  const url = String(body?.url || '').trim();
+  try {
+    const u = new URL(url);
+    if (u.protocol !== 'https:' && u.protocol !== 'http:') throw new Error();
+  } catch { return { error: 'url must be an http(s) URL' }; }
+  return { webhook: { id: newAlertId('w_'), name: typeof body.name === 'string' ? body.name.slice(0, 80) : '', url, enabled: body.enabled !== false, createdAt: Date.now() } };
+}
+
+// symbol/name/url of a token from the latest snapshot (deep-scan alerts have no row of their own)
+function latestRowInfo(chain, ca) {
+  const row = findBoardRow(snapshotForChain(ensureSnapshots().latest, chain), ca);
+  return row ? { symbol: row.symbol, name: row.name, url: row.url } : { url: `https://dexscreener.com/${chainInfo(chain).dexSlug}/${ca}` };
+}
+// Webhooks only go to public addresses: loopback, private, link-local, CGNAT, multicast and
+// documentation/reserved ranges are refused when a webhook is saved and again on every delivery
+const WEBHOOK_BLOCKED_NETS = new net.BlockList();
+for (const [a, prefix] of [['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+  ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]]) WEBHOOK_BLOCKED_NETS.addSubnet(a, prefix, 'ipv4');
+for (const [a, prefix] of [['::', 127], ['::ffff:0:0', 96], ['64:ff9b::', 96], ['100::', 64], ['2001::', 23],
+  ['2001:db8::', 32], ['2002::', 16], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) WEBHOOK_BLOCKED_NETS.addSubnet(a, prefix, 'ipv6');
+const isBlockedAddress = (ip)=> WEBHOOK_BLOCKED_NETS.check(ip, net.isIPv6(ip) ? 'ipv6' : 'ipv4');
+
+// Returns an error message when the URL's host is (or resolves to) a non-public address, else null
+async function checkWebhookHost(url) {
+  const host = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  const addrs = await dns.promises.lookup(host, { all: true }).catch(() => []);
+  if (!addrs.length) return `cannot resolve ${host}`;
+  if (addrs.some(a => isBlockedAddress(a.address))) return `${host} is a loopback, private or reserved address`;
+  return null;
+}
+// dns.lookup for the delivery socket itself, so a host cannot pass the check and then re-resolve internally
+function publicLookup(hostname, options, cb) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addrs) => {
+    if (err) return cb(err);
+    if (!addrs.length || addrs.some(a => isBlockedAddress(a.address))) return cb(new Error(`${hostname} is not a public address`));
+    if (options.all) return cb(null, addrs);
+    cb(null, addrs[0].address, addrs[0].family);
+  });
+}
+// POSTs JSON without following redirects; resolves with the HTTP status
+function postJSON(url, payload, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const u = new URL(url), body = JSON.stringify(payload);
+    const req = (u.protocol === 'https:' ? https : http).request(u, {
+      method: 'POST',
+      lookup: publicLookup,
+      timeout: timeoutMs,
+      headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body), 'User-Agent': 'tabs-alerts/1' }
+    }, (res) => { res.resume(); resolve(res.statusCode); });
+    req.on('timeout', () => req.destroy(new Error('timed out')));
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+async function postWebhook(hook, payload) {
+  const blocked = await checkWebhookHost(hook.url).catch(e => e.message || String(e));
+  if (blocked) return { webhookId: hook.id, ok: false, error: blocked, blocked: true };
+  for (let attempt = 1; attempt <= 2; attempt++) {
+    try {
+      const status = await postJSON(hook.url, payload, 10000);
+      if (status >= 200 && status < 300) return { webhookId: hook.id, ok: true, status };
+      if (attempt === 2) return { webhookId: hook.id, ok: false, status };
+    } catch (e) {
+      if (attempt === 2) return { webhookId: hook.id, ok: false, error: e.message || String(e) };
+    }
+    await sleep(2000);
+  }
+}
+
+function deliverAlertEvent(event, hooks) {
+  if (!hooks.length) return;
+  Promise.all(hooks.map(h => postWebhook(h, { type: 'alert', alert: event })))
+    .then(deliveries => updateAlerts(a => {
+      const ev = a.events.find(e => e.id === event.id);
+      if (!ev) return false;
+      ev.deliveries = deliveries;
+    }))
+    .catch(e => console.error('alert delivery failed:', e.message || e));
+}
+
+// Applies cooldowns, persists events and fires webhooks; never throws into the scan
+function evaluateAlerts(ctx) {
+  try {
+    const fired = [];
+    const A = updateAlerts(a => {
+      if (!a.rules.length) return false;
+      const now = Date.now();
+      const prevVolume = (row)=> lastTokenSeriesPoint(tokenDataId(row.chain || DEFAULT_CHAIN, row.baseAddress))?.volume24h;
+      for (const hit of applyAlertCooldowns(matchAlertRules(a.rules, { ...ctx, prevVolume }, a), a.lastFired, now)) {
+        const event = {
+          id: newAlertId('e_'),
+          ts: now,
+          snapshotTs: ctx.snapshot?.ts ?? null,
+          ruleId: hit.rule.id,
+          ruleName: hit.rule.name,
+          type: hit.rule.type,
+          ca: hit.row.baseAddress,
+          chain: hit.row.chain || DEFAULT_CHAIN,
+          symbol: hit.row.symbol,
+          name: hit.row.name,
+          value: hit.value,
+          ...(hit.wallet ? { wallet: hit.wallet } : {}),
+          message: hit.message,
+          url: hit.row.url,
+          deliveries: []
+        };
+        a.events.unshift(event);
+        fired.push({ event, rule: hit.rule });
+      }
+      a.events = a.events.slice(0, ALERT_EVENTS_LIMIT);
+    });
+    for (const { event, rule } of fired) {
+      broadcast('alert', event);
+      const hooks = A.webhooks.filter(h => h.enabled && (!rule.webhooks.length || rule.webhooks.includes(h.id)));
+      deliverAlertEvent(event, hooks);
+    }
+    if (fired.length) console.log(`alerts: ${fired.length} fired`);
+    return fired.map(f => f.event);
+  } catch (e) {
+    console.error('evaluateAlerts error:', e.message || e);
+    return [];
+  }
+}
+
+// ---------- Wallet profiles ----------
+// A wallet's transfers of tracked tokens on one chain: position, entry timing vs launch, PnL, funders.
+// Transfers are valued at the price of the nearest series point (scans record priceUsd, or
+// marketCap ÷ deep-scan supply for older points); PnL is null when an inbound transfer can't be priced.
+const WALLET_CACHE_TTL_MS = 60 * 1000;
+const WALLET_SNIPER_MIN = 10;                      // entered within 10 min of the first pair
+const WALLET_PRICE_TOLERANCE_MS = 3 * 3600 * 1000; // farthest series point used to price a transfer
+const walletCache = new Map();                     // `chain:address` → { at, profile }
+
+function priceAtFn(id, supply) {
+  const pts = readNDJSON(seriesFileForToken(id)).filter(p => Number.isFinite(p?.ts)).sort((a,b)=> a.ts - b.ts);
+  const priceOf = (p)=> Number(p.priceUsd) > 0 ? Number(p.priceUsd) : (supply > 0 && Number(p.marketCap) > 0 ? Number(p.marketCap) / supply : null);
+  return (ts) => {
+    let best = null;
+    for (const p of pts) {
+      if (priceOf(p) == null) continue;
+      if (!best || Math.abs(p.ts - ts) < Math.abs(best.ts - ts)) best = p;
+      else if (p.ts > ts) break;
+    }
+    return best && Math.abs(best.ts - ts) <= WALLET_PRICE_TOLERANCE_MS ? priceOf(best) : null;
+  };
+}
+
+async function buildWalletProfile(address, chain) {
+  const lib = ensureTokensLib();
+  const stats = ensureTokenStatsFile().byCA;
+  const txs = await etherscanGet({ module:'account', action:'tokentx', address, startblock: 0, endblock: 99999999, sort:'asc' }, chain);
+  const byToken = new Map();
+  for (const t of Array.isArray(txs) ? txs : []) {
+    const ca = String(t.contractAddress || '').toLowerCase();
+    const key = tokenKey(chain, ca);
+    if (!lib.tokens.includes(key)) continue;
+    if (!byToken.has(ca)) byToken.set(ca, { key, symbol: t.tokenSymbol || '', name: t.tokenName || '', txs: [] });
+    byToken.get(ca).txs.push(t);
+  }
+
+  const tokens = [];
+  for (const [ca, tok] of byToken) {
+    const id = tokenDataId(chain, ca);
+    const scan = stats[id]?.data;
+    const priceAt = priceAtFn(id, Number(scan?.a?.currentSupply) || 0);
+    const pairs = await fetchTokenPairs(ca, chain).catch(()=>[]);
+    const created = pairs.map(p => Number(p?.pairCreatedAt)).filter(n => Number.isFinite(n) && n > 0);
+    const launchAt = created.length ? Math.min(...created) : (scan?.b?.first25?.[0]?.timeStamp ? scan.b.first25[0].timeStamp * 1000 : null);
+    const livePx = Number(pairs.sort((a,b)=> Number(b?.liquidity?.usd||0) - Number(a?.liquidity?.usd||0))[0]?.priceUsd);
+    const priceUsd = livePx > 0 ? livePx : priceAt(Date.now());
+
+    // average-cost basis: sells realize against the running average entry price
+    const buys = { count: 0, amount: 0 }, sells = { count: 0, amount: 0 };
+    let holdings = 0, cost = 0, realized = 0, priced = true, firstInAt = null, lastTxAt = null;
+    for (const t of tok.txs) {
+      const amt = unitsToNum(t.value, Number(t.tokenDecimal || 18));
+      const ts = Number(t.timeStamp) * 1000;
+      const px = priceAt(ts);
+      lastTxAt = ts;
+      if ((t.to || '').toLowerCase() === address) {
+        buys.count++; buys.amount += amt;
+        if (firstInAt == null) firstInAt = ts;
+        if (px == null) priced = false; else cost += amt * px;
+        holdings += amt;
+      } else if ((t.from || '').toLowerCase() === address) {
+        sells.count++; sells.amount += amt;
+        const avg = holdings > 0 ? cost / holdings : 0;
+        const out = Math.min(amt, Math.max(0, holdings));
+        if (px == null) priced = false; else realized += out * (px - avg);
+        cost -= out * avg; holdings -= out;
+      }
+    }
+    holdings = Math.max(0, holdings);
+    const firstBuyerRank = (scan?.b?.first25 || []).findIndex(r => r.address === address) + 1 || null;
+    const entryDelayMin = firstInAt != null && launchAt != null ? Math.round((firstInAt - launchAt) / 60000) : null;
+    const meta = lib.tokenMeta[tok.key] || {};
+    tokens.push({
+      key: tok.key, chain, ca,
+      symbol: tok.symbol, name: tok.name, label: meta.label || '',
+      buys, sells, holdings,
+      firstInAt, lastTxAt, launchAt, entryDelayMin, firstBuyerRank,
+      sniper: !!firstBuyerRank || (entryDelayMin != null && entryDelayMin <= WALLET_SNIPER_MIN),
+      priceUsd: priceUsd || null,
+      valueUsd: priceUsd ? holdings * priceUsd : null,
+      pnl: priced && priceUsd
+        ? { costUsd: cost, realizedUsd: realized, unrealizedUsd: holdings * priceUsd - cost }
+        : null
+    });
+  }
+  tokens.sort((a,b)=> (b.valueUsd || 0) - (a.valueUsd || 0) || (b.lastTxAt || 0) - (a.lastTxAt || 0));
+
+  const funders = (await getFundingWallets(address, null, chain).catch(()=>[]))
+    .sort((a,b)=> (b.eth + b.weth) - (a.eth + a.weth))
+    .slice(0, 10);
+  const sum = (get)=> tokens.reduce((s, t)=> s + (get(t) || 0), 0);
+  return {
+    address, chain, ts: Date.now(),
+    tokens, funders,
+    totals: {
+      tokens: tokens.length,
+      held: tokens.filter(t => t.holdings > 0).length,
+      sniped: tokens.filter(t => t.sniper).length,
+      valueUsd: sum(t => t.valueUsd),
+      realizedUsd: sum(t => t.pnl?.realizedUsd),
+      unrealizedUsd: sum(t => t.pnl?.unrealizedUsd)
+    }
+  };
+}
+
+// ---------- API keys + auth ----------
+// Writes fail closed: with no key in data/api-keys.json (ADMIN_API_KEY bootstraps one) every
+// POST/PUT/PATCH/DELETE is refused, unless API_OPEN_WRITES=1 opts a private/local install out.
+//   POST/PUT/PATCH/DELETE /api/*  need a `write` key      GET /api/v1/*  needs a `read` key once keys exist
+//   /api/keys                     needs an `admin` key     other GET /api/* stay open for the UI
+//   POST /api/token-stats/save also takes an upload token instead of a key (and always needs one of them)
+// Keys travel as `Authorization: Bearer <key>` or `X-API-Key`; only their sha256 is stored.
+// Keyed requests (and anonymous /api/v1 calls, per IP) share a fixed one-minute rate window.
+const API_SCOPES = ['read', 'write', 'admin'];   // each scope includes the ones before it
+const API_RATE_LIMIT_PER_MIN = Number(process.env.API_RATE_LIMIT_PER_MIN ?? 120);
+const API_OPEN_WRITES = process.env.API_OPEN_WRITES === '1';
+const apiHits = new Map();      // key id | ip:<ip> -> { windowStart, count }
+const apiLastUsed = new Map();  // key id -> ts (in memory; not worth a write per request)
+const hashApiKey = (key)=> crypto.createHash('sha256').update(String(key)).digest('hex');
+const hasScope = (key, need)=> API_SCOPES.indexOf(key.scope) >= API_SCOPES.indexOf(need);
+// GET routes re-exposed under /api/v1 (same handlers, stable paths for other tools)
+const V1_ROUTES = [
+  /^\/snapshot\/latest(\.csv|\/[^/]+\.csv)?$/, /^\/snapshots(\/[^/]+)?$/, /^\/boards$/, /^\/chains$/, /^\/tokens$/,
+  /^\/tokens\/[^/]+\/(history|holders-history|holder-events)$/, /^\/compare$/, /^\/token-stats\/[^/]+(\/holders\.csv|\/buyers\.csv)?$/
+];
+
+function publicApiKey(k) {
+  const { hash: _h, ...rest } = k;
+  return { ...rest, lastUsedAt: apiLastUsed.get(k.id) ?? null };
+}
+// Returns { key: record, secret } or { error }; the secret is only ever shown once
+function parseApiKey(body, fixedSecret = null) {
+  const name = String(body?.name || '').trim().slice(0, 80);
+  const scope = String(body?.scope || 'read');
+  const rateLimitPerMin = body?.rateLimitPerMin != null ? Number(body.rateLimitPerMin) : API_RATE_LIMIT_PER_MIN;
+  if (!name) return { error: 'name required' };
+  if (!API_SCOPES.includes(scope)) return { error: `scope must be one of ${API_SCOPES.join(', ')}` };
+  if (!Number.isInteger(rateLimitPerMin) || rateLimitPerMin < 1 || rateLimitPerMin > 10000) return { error: 'rateLimitPerMin must be 1–10000' };
+  const secret = fixedSecret || 'tabs_' + crypto.randomBytes(24).toString('hex');
+  return { secret, key: { id: newAlertId('k_'), name, scope, prefix: fixedSecret ? null : secret.slice(0, 9), hash: hashApiKey(secret), rateLimitPerMin, createdAt: Date.now() } };
+}
+function bootstrapAdminKey() {
+  const secret = process.env.ADMIN_API_KEY;
+  if (!secret) return;
+  updateApiKeys(k => {
+    if (k.keys.some(x => x.hash === hashApiKey(secret))) return false;
+    k.keys.push(parseApiKey({ name: 'ADMIN_API_KEY', scope: 'admin' }, secret).key);
+  });
+}
+function apiKeyFromReq(req) {
+  const auth = String(req.get('authorization') || '');
+  if (/^bearer\s+/i.test(auth)) return auth.replace(/^bearer\s+/i, '').trim();
+  return req.get('x-api-key') || null;
+}
+// Fixed one-minute window; sets X-RateLimit-* headers, false when over the limit
+function apiRateOk(id, limit, res) {
+  const now = Date.now();
+  let h = apiHits.get(id);
+  if (!h || now - h.windowStart >= 60 * 1000) { h = { windowStart: now, count: 0 }; apiHits.set(id, h); }
+  h.count++;
+  const reset = Math.ceil((h.windowStart + 60 * 1000 - now) / 1000);
+  res.setHeader('X-RateLimit-Limit', limit);
+  res.setHeader('X-RateLimit-Remaining', Math.max(0, limit - h.count));
+  res.setHeader('X-RateLimit-Reset', reset);
+  if (h.count <= limit) return true;
+  res.setHeader('Retry-After', reset);
+  return false;
 }
 
+// POSTs the UI makes just by being viewed: the snapshot refresh and an incremental deep scan of the
+// open token. Both are deduplicated server-side (runScan / enqueueDeepScan), so they need no scope.
+const VIEW_POSTS = [/^\/refresh$/, /^\/token-stats\/[^/]+\/scan$/];
+const isViewPost = (req)=> req.method === 'POST' && VIEW_POSTS.some(re => re.test(req.path)) && req.query.full !== '1' && req.body?.full !== true;
+
+app.use('/api', (req, res, next) => {
+  const v1 = req.path.startsWith('/v1/');
+  if (v1 && req.path === '/v1/openapi.json') return next();
+  const keys = ensureApiKeys().keys;
+  const presented = apiKeyFromReq(req);
+  let key = null;
+  if (presented) {
+    key = keys.find(k => k.hash === hashApiKey(presented));
+    if (!key) return res.status(401).json({ ok:false, error:'invalid API key' });
+    apiLastUsed.set(key.id, Date.now());
+  }
+  // saves carrying an upload token are checked by the route itself (see verifyUploadToken)
+  const viewPost = isViewPost(req);
+  const write = !['GET', 'HEAD', 'OPTIONS'].includes(req.method) && !viewPost && !(req.path === '/token-stats/save' && req.get('x-upload-token'));
+  const need = req.path === '/keys' || req.path.startsWith('/keys/') ? 'admin' : write ? 'write' : v1 ? 'read' : null;
+  if (!keys.length && (need === 'admin' || (need === 'write' && !API_OPEN_WRITES))) {
+    return res.status(403).json({ ok:false, error:'no API keys configured: set ADMIN_API_KEY' });
+  }
+  if (need && keys.length) {
+    if (!key) return res.status(401).json({ ok:false, error:`API key with ${need} scope required` });
+    if (!hasScope(key, need)) return res.status(403).json({ ok:false, error:`API key lacks ${need} scope` });
+  }
+  if ((key || v1 || viewPost) && !apiRateOk(key ? key.id : `ip:${req.ip}`, key ? key.rateLimitPerMin : API_RATE_LIMIT_PER_MIN, res)) {
+    return res.status(429).json({ ok:false, error:'rate limit exceeded' });
+  }
+  req.apiKey = key;
+  if (!v1) return next();
+  // /api/v1/<route> → the /api/<route> handler (express re-adds the /api mount prefix)
+  const rest = req.path.slice(3);
+  if (req.method !== 'GET' || !V1_ROUTES.some(re => re.test(rest))) return res.status(404).json({ ok:false, error:'not found' });
+  req.url = req.url.slice(3);
+  next();
+});
+
+app.get('/api/v1/openapi.json', (req, res) => res.sendFile(OPENAPI_FILE));
+
+app.get('/api/keys', (req, res) => {
+  res.json({ ok:true, scopes: API_SCOPES, keys: ensureApiKeys().keys.map(publicApiKey) });
+});
+app.post('/api/keys', (req, res) => {
+  const { key, secret, error } = parseApiKey(req.body);
+  if (error) return res.status(400).json({ ok:false, error });
+  updateApiKeys(k => { k.keys.push(key); });
+  res.status(201).json({ ok:true, key: publicApiKey(key), secret });
+});
+app.delete('/api/keys/:id', (req, res) => {
+  let found = false, lastAdmin = false;
+  updateApiKeys(k => {
+    const target = k.keys.find(x => x.id === req.params.id);
+    if (!target) return false;
+    found = true;
+    // keep at least one admin key, or nobody could manage keys again
+    if (target.scope === 'admin' && k.keys.filter(x => x.scope === 'admin').length === 1) { lastAdmin = true; return false; }
+    k.keys = k.keys.filter(x => x !== target);
+  });
+  if (!found) return res.status(404).json({ ok:false, error:'not found' });
+  if (lastAdmin) return res.status(409).json({ ok:false, error:'cannot revoke the last admin key' });
+  apiHits.delete(req.params.id);
+  apiLastUsed.delete(req.params.id);
+  res.json({ ok:true, removed: req.params.id });
+});
+
 // ---------- APIs ----------
 app.post('/api/refresh', async (req, res) => {
   try {
-    const snap = await runScan();
-    res.json({ ok: true, snapshot: snap });
+    const snap = await runScan('manual');
+    res.json({ ok: true, snapshot: snapshotForChain(snap, chainParam(req) || DEFAULT_CHAIN) });
   } catch (e) {
     console.error('/api/refresh error:', e);
     res.status(500).json({ ok:false, error: e.message || String(e) });
   }
 });
 
+// ?chain= picks that chain's leaderboards (default: DEFAULT_CHAIN)
 app.get('/api/snapshot/latest', (req, res) => {
+  const chain = chainParam(req);
+  if (!chain) return res.status(400).json({ ok:false, error:'unknown chain' });
   try {
     const S = ensureSnapshots();
-    res.json({ ok: true, snapshot: S.latest || null });
+    res.json({ ok: true, snapshot: snapshotForChain(S.latest, chain) });
+  } catch (e) {
+    res.status(500).json({ ok:false, error: e.message || String(e) });
+  }
+});
+
+// ---------- CSV exports (leaderboards, holders, buyers) ----------
+// Columns follow the UI tables, with every optional board column and raw (unformatted) numbers
+const BOARD_CSV_COLUMNS = ['board', 'rank', 'chain', 'ca', 'name', 'symbol', 'm5', 'h1', 'h6', 'h24', 'volume24h', 'marketCap', 'fdv',
+  'liquidityUsd', 'buys1h', 'sells1h', 'buys24h', 'sells24h', 'priceUsd', 'pairCreatedAt', 'risk', 'url'];
+const HOLDERS_CSV_COLUMNS = ['rank', 'address', 'firstIn', 'holdings', 'pctOfSupply', 'type', 'label'];
+const BUYERS_CSV_COLUMNS = ['rank', 'address', 'firstInAt', 'firstIn', 'totalIn', 'totalOut', 'holdings', 'status', 'label'];
+const isoOrEmpty = (ms)=> Number(ms) > 0 ? new Date(Number(ms)).toISOString() : '';
+
+function boardCSVRows(view, boardIds) {
+  const rows = [];
+  for (const id of boardIds) {
+    (view[id] || []).forEach((r, i) => rows.push([
+      id, r.rank ?? i + 1, r.chain || view.chain, r.baseAddress, r.name, r.symbol,
+      r.priceChange?.m5, r.priceChange?.h1, r.priceChange?.h6, r.priceChange?.h24,
+      r.volume24h, r.marketCap, r.fdv, r.liquidityUsd,
+      r.txns?.h1?.buys, r.txns?.h1?.sells, r.txns?.h24?.buys, r.txns?.h24?.sells,
+      r.priceUsd, isoOrEmpty(r.pairCreatedAt), r.risk?.score, r.url
+    ]));
+  }
+  return rows;
+}
+function sendCSV(res, filename, header, rows) {
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.send(toCSV(header, rows));
+}
+
+// Every board of the latest snapshot (`board` column), or one board with ?board= / latest/<board>.csv
+function sendSnapshotCSV(req, res, board) {
+  const chain = chainParam(req);
+  if (!chain) return res.status(400).json({ ok:false, error:'unknown chain' });
+  const view = snapshotForChain(ensureSnapshots().latest, chain);
+  if (!view) return res.status(404).json({ ok:false, error:'no snapshot yet' });
+  const ids = view.boards.map(b => b.id);
+  if (board && !ids.includes(board)) return res.status(404).json({ ok:false, error:`board must be one of ${ids.join(', ')}` });
+  const stamp = new Date(view.ts).toISOString().slice(0, 16).replace(':', '');
+  sendCSV(res, `snapshot-${chain}-${board || 'all'}-${stamp}.csv`, BOARD_CSV_COLUMNS, boardCSVRows(view, board ? [board] : ids));
+}
+app.get('/api/snapshot/latest.csv', (req, res) => sendSnapshotCSV(req, res, req.query.board ? String(req.query.board) : null));
+app.get('/api/snapshot/latest/:board.csv', (req, res) => sendSnapshotCSV(req, res, req.params.board));
+
+// Live updates (Server-Sent Events)
+app.get('/api/stream', (req, res) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-store',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write('retry: 5000\n\n');
+  // lets a reconnecting client tell whether it missed a snapshot
+  res.write(`event: hello\ndata: ${JSON.stringify({ latestTs: ensureSnapshots().latest?.ts ?? null, scanning: isScanning, nextScanAt })}\n\n`);
+  sseClients.add(res);
+  req.on('close', () => sseClients.delete(res));
+});
+
+// Snapshot history: ?from=&to= (epoch ms or date string), newest first; ?chain= narrows to one chain's boards
+app.get('/api/snapshots', (req, res) => {
+  const from = parseTimeParam(req.query.from);
+  const to   = parseTimeParam(req.query.to);
+  if ((req.query.from && from == null) || (req.query.to && to == null)) {
+    return res.status(400).json({ ok:false, error:'bad from/to' });
+  }
+  const limit = Math.min(500, Math.max(1, Number(req.query.limit) || 50));
+  try {
+    const chain = req.query.chain ? chainParam(req) : null;
+    if (req.query.chain && !chain) return res.status(400).json({ ok:false, error:'unknown chain' });
+    const snapshots = querySnapshotHistory({ from, to, limit }).map(s => chain ? snapshotForChain(s, chain) : s);
+    res.json({ ok:true, count: snapshots.length, snapshots });
+  } catch (e) {
+    res.status(500).json({ ok:false, error: e.message || String(e) });
+  }
+});
+
+app.get('/api/snapshots/:ts', (req, res) => {
+  const ts = Number(req.params.ts);
+  if (!Number.isFinite(ts)) return res.status(400).json({ ok:false, error:'bad ts' });
+  const snapshot = findSnapshotByTs(ts);
+  if (!snapshot) return res.status(404).json({ ok:false, error:'not found' });
+  const chain = req.query.chain ? chainParam(req) : null;
+  if (req.query.chain && !chain) return res.status(400).json({ ok:false, error:'unknown chain' });
+  res.json({ ok:true, snapshot: chain ? snapshotForChain(snapshot, chain) : snapshot });
+});
+
+// Scan run history (scheduler + manual refreshes)
+app.get('/api/scans', (req, res) => {
+  const limit = Math.min(SCAN_RUNS_LIMIT, Math.max(1, Number(req.query.limit) || 50));
+  const runs = ensureScans().runs.slice(0, limit);
+  res.json({
+    ok: true,
+    scheduler: {
+      enabled: SCAN_INTERVAL_MS > 0,
+      intervalMs: SCAN_INTERVAL_MS,
+      jitterMs: SCAN_JITTER_MS,
+      running: isScanning,
+      nextRunAt: nextScanAt
+    },
+    current: currentRun,
+    runs
+  });
+});
+
+app.get('/api/scans/:id', (req, res) => {
+  const id = String(req.params.id || '');
+  const run = (currentRun && currentRun.id === id) ? currentRun : ensureScans().runs.find(r => r.id === id);
+  if (!run) return res.status(404).json({ ok:false, error:'not found' });
+  res.json({ ok:true, run });
+});
+
+// ---------- Token library management ----------
+// Routes take `:ca` as `0x…` (+ ?chain=, default DEFAULT_CHAIN) or as `chain:0x…`
+function tokenLibEntry(lib, key) {
+  const { chain, ca } = parseTokenKey(key);
+  return { key, chain, ca, ...lib.tokenMeta[key], pairs: lib.tokenPairs[key] || [] };
+}
+// Validates a PATCH body; returns { patch } or { error }
+function parseTokenPatch(body) {
+  const b = body || {};
+  const patch = {};
+  if ('enabled' in b) {
+    if (typeof b.enabled !== 'boolean') return { error: 'enabled must be boolean' };
+    patch.enabled = b.enabled;
+  }
+  if ('label' in b) {
+    if (typeof b.label !== 'string' || b.label.length > 64) return { error: 'label must be a string (≤ 64 chars)' };
+    patch.label = b.label.trim();
+  }
+  if ('tags' in b) {
+    const list = typeof b.tags === 'string' ? b.tags.split(',') : b.tags;
+    if (!Array.isArray(list) || list.length > 16 || list.some(t => typeof t !== 'string' || t.length > 32)) {
+      return { error: 'tags must be ≤ 16 strings (≤ 32 chars each)' };
+    }
+    patch.tags = Array.from(new Set(list.map(t => t.trim()).filter(Boolean)));
+  }
+  if ('notes' in b) {
+    if (typeof b.notes !== 'string' || b.notes.length > 1000) return { error: 'notes must be a string (≤ 1000 chars)' };
+    patch.notes = b.notes;
+  }
+  if (!Object.keys(patch).length) return { error: 'nothing to update (enabled, label, tags, notes)' };
+  return { patch };
+}
+
+app.get('/api/tokens', (req, res) => {
+  const lib = ensureTokensLib();
+  const chain = req.query.chain ? String(req.query.chain).toLowerCase() : null;
+  const tokens = lib.tokens.map(key => tokenLibEntry(lib, key)).filter(t => !chain || t.chain === chain);
+  res.json({ ok:true, count: tokens.length, enabled: enabledTokens(lib).length, tokens });
+});
+
+// Chain registry + how many library tokens each chain has
+app.get('/api/chains', (req, res) => {
+  const lib = ensureTokensLib();
+  const counts = {};
+  for (const key of lib.tokens) {
+    const { chain } = parseTokenKey(key);
+    const c = counts[chain] || (counts[chain] = { tokens: 0, enabled: 0 });
+    c.tokens++;
+    if (lib.tokenMeta[key]?.enabled !== false) c.enabled++;
+  }
+  const chains = Object.entries(CHAINS).map(([id, c]) => ({ id, ...c, ...(counts[id] || { tokens: 0, enabled: 0 }) }));
+  res.json({ ok:true, default: DEFAULT_CHAIN, chains });
+});
+
+// Leaderboards computed on each scan (data/boards.json, or the built-in two)
+app.get('/api/boards', (req, res) => {
+  res.json({ ok:true, fields: BOARD_FIELDS, boards: loadBoards() });
+});
+
+// ---------- Bulk import / export ----------
+const EXPORT_COLUMNS = ['chain', 'ca', 'enabled', 'label', 'tags', 'notes', 'source', 'addedAt', 'pairs'];
+
+// Accepts: CSV/plain text (one address per line, or a header row with a `ca` column),
+// a JSON array of addresses / objects, or { addresses }, { tokens } (export format), { csv }.
+// Addresses may be written `chain:0x…`; otherwise an entry's `chain` (or ?chain=) applies.
+function parseImportBody(body) {
+  let list = body;
+  if (list && typeof list === 'object' && !Array.isArray(list)) {
+    if (typeof list.csv === 'string') list = list.csv;
+    else list = list.tokens || list.addresses || [];
+  }
+  if (typeof list === 'string') {
+    const rows = parseCSV(list);
+    const head = (rows[0] || []).map(h => h.trim().toLowerCase());
+    const caCol = head.indexOf('ca');
+    if (caCol >= 0) {
+      list = rows.slice(1).map(r => {
+        const o = {};
+        head.forEach((h, i) => { o[h] = (r[i] ?? '').trim(); });
+        o.tags = o.tags ? o.tags.split(';') : [];
+        o.pairs = o.pairs ? o.pairs.split(';') : [];
+        o.enabled = o.enabled ? o.enabled !== 'false' : true;
+        o.addedAt = o.addedat ? Number(o.addedat) : undefined;
+        return o;
+      });
+    } else {
+      list = rows.flatMap(r => r).map(x => x.trim()).filter(Boolean);
+    }
+  }
+  if (!Array.isArray(list)) return [];
+  return list.map(x => (x && typeof x === 'object') ? x : { ca: x });
+}
+
+app.post('/api/tokens/import', express.text({ type: 'text/*', limit: '2mb' }), (req, res) => {
+  const entries = parseImportBody(req.body);
+  if (!entries.length) return res.status(400).json({ ok:false, error:'no addresses found' });
+  if (entries.length > 5000) return res.status(400).json({ ok:false, error:'too many addresses (max 5000)' });
+
+  const defaultChain = chainParam(req);
+  if (!defaultChain) return res.status(400).json({ ok:false, error:'unknown chain' });
+  const seen = new Set();
+  const items = [];
+  const lib = updateTokensLib(lib => {
+    for (const e of entries) {
+      const input = String(e.ca ?? e.address ?? '').trim();
+      const ref = parseTokenRef(input, e.chain || defaultChain);
+      if (!ref) { items.push({ input, ca: null, status: 'invalid' }); continue; }
+      const { key, ca, chain } = ref;
+      if (seen.has(key)) { items.push({ input, ca, chain, status: 'duplicate' }); continue; }
+      seen.add(key);
+      if (lib.tokens.includes(key)) { items.push({ input, ca, chain, status: 'exists' }); continue; }
+      lib.tokens.push(key);
+      lib.tokenMeta[key] = normalizeTokenMeta({
+        enabled: e.enabled !== false,
+        label: typeof e.label === 'string' ? e.label.slice(0, 64) : '',
+        tags: Array.isArray(e.tags) ? e.tags.filter(t => typeof t === 'string' && t).slice(0, 16) : [],
+        notes: typeof e.notes === 'string' ? e.notes.slice(0, 1000) : '',
+        source: 'import',
+        addedAt: Number(e.addedAt) > 0 ? Number(e.addedAt) : Date.now()
+      });
+      const pairs = (Array.isArray(e.pairs) ? e.pairs : []).map(p => String(p).toLowerCase()).filter(p => /^0x[0-9a-f]{40}$/.test(p));
+      if (pairs.length) lib.tokenPairs[key] = Array.from(new Set(pairs));
+      items.push({ input, ca, chain, key, status: 'queued', pairs: pairs.length });
+    }
+  });
+
+  const queued = items.filter(i => i.status === 'queued');
+  const summary = {};
+  for (const i of items) summary[i.status] = (summary[i.status] || 0) + 1;
+
+  // pair discovery runs in the background; GET /api/tokens/import/:id reports per-address progress
+  const job = createJob('import', { items, summary, progress: { done: 0, total: queued.length } });
+  runJob(job, async () => {
+    for (const item of queued) {
+      item.status = 'discovering';
+      try {
+        const { pairAddrs } = await searchPairsForToken(item.ca, item.chain);
+        updateTokensLib(l => {
+          if (!l.tokens.includes(item.key)) return false;
+          l.tokenPairs[item.key] = Array.from(new Set([ ...(l.tokenPairs[item.key] || []), ...pairAddrs ]));
+          item.pairs = l.tokenPairs[item.key].length;
+        });
+        item.status = 'added';
+      } catch (e) {
+        item.status = 'added';
+        item.warning = `pair discovery failed: ${e.message || e}`;
+      }
+      job.progress.done++;
+      await sleep(250);
+    }
+  });
+
+  res.status(202).json({ ok:true, jobId: job.id, summary, tokensTracked: enabledTokens(lib).length, items });
+});
+
+app.get('/api/tokens/import/:id', (req, res) => {
+  const job = jobs.get(String(req.params.id || ''));
+  if (!job || job.type !== 'import') return res.status(404).json({ ok:false, error:'not found' });
+  res.json({ ok:true, job });
+});
+
+app.get('/api/tokens/export', (req, res) => {
+  const lib = ensureTokensLib();
+  const tokens = lib.tokens.map(key => tokenLibEntry(lib, key));
+  const stamp = new Date().toISOString().slice(0, 10);
+  if (String(req.query.format || 'json') === 'csv') {
+    const rows = tokens.map(t => [t.chain, t.ca, t.enabled, t.label, t.tags.join(';'), t.notes, t.source, t.addedAt ?? '', t.pairs.join(';')]);
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="tokens-lib-${stamp}.csv"`);
+    return res.send(toCSV(EXPORT_COLUMNS, rows));
+  }
+  res.setHeader('Content-Disposition', `attachment; filename="tokens-lib-${stamp}.json"`);
+  res.json({ version: 2, exportedAt: Date.now(), count: tokens.length, tokens });
+});
+
+app.patch('/api/tokens/:ca', (req, res) => {
+  const ref = parseTokenRef(req.params.ca, req.query.chain);
+  if (!ref) return res.status(400).json({ ok:false, error:'bad ca' });
+  const { patch, error } = parseTokenPatch(req.body);
+  if (error) return res.status(400).json({ ok:false, error });
+  let found = false;
+  const lib = updateTokensLib(lib => {
+    if (!lib.tokens.includes(ref.key)) return false;
+    found = true;
+    lib.tokenMeta[ref.key] = normalizeTokenMeta({ ...lib.tokenMeta[ref.key], ...patch });
+  });
+  if (!found) return res.status(404).json({ ok:false, error:'not tracked' });
+  res.json({ ok:true, token: tokenLibEntry(lib, ref.key) });
+});
+
+app.delete('/api/tokens/:ca', (req, res) => {
+  const ref = parseTokenRef(req.params.ca, req.query.chain);
+  if (!ref) return res.status(400).json({ ok:false, error:'bad ca' });
+  let found = false;
+  const lib = updateTokensLib(lib => {
+    if (!lib.tokens.includes(ref.key)) return false;
+    found = true;
+    lib.tokens = lib.tokens.filter(x => x !== ref.key);
+    delete lib.tokenPairs[ref.key];
+    delete lib.tokenMeta[ref.key];
+  });
+  if (!found) return res.status(404).json({ ok:false, error:'not tracked' });
+  res.json({ ok:true, removed: ref.key, tokensTracked: enabledTokens(lib).length });
+});
+
+// Discovery review queue (?status=pending|accepted|rejected|watching|skipped|all)
+app.get('/api/discovery', (req, res) => {
+  const D = ensureDiscovery();
+  const status = String(req.query.status || 'pending');
+  const candidates = Object.values(D.candidates)
+    .filter(c => status === 'all' || c.status === status)
+    .sort((a,b)=> (b.firstSeenAt || 0) - (a.firstSeenAt || 0));
+  res.json({
+    ok: true,
+    config: { ...DISCOVERY, chains: discoveryChains() },
+    lastRunAt: D.lastRunAt,
+    job: discoveryJob,
+    count: candidates.length,
+    candidates
+  });
+});
+
+app.post('/api/discovery/run', (req, res) => {
+  const job = startDiscoveryJob();
+  res.status(202).json({ ok:true, jobId: job.id });
+});
+
+// :ca is `0x…` (chain from ?chain=, else the default) or `chain:0x…`
+app.post('/api/discovery/:ca/:decision', (req, res) => {
+  const ref = parseTokenRef(req.params.ca, req.query.chain);
+  const decision = req.params.decision;
+  if (!ref) return res.status(400).json({ ok:false, error:'bad ca' });
+  if (decision !== 'accept' && decision !== 'reject') return res.status(404).json({ ok:false, error:'unknown action' });
+  const key = ref.key;
+  if (!ensureDiscovery().candidates[key]) return res.status(404).json({ ok:false, error:'not a discovery candidate' });
+
+  let manual = false;
+  const lib = updateTokensLib(lib => {
+    if (decision === 'accept') {
+      if (!lib.tokens.includes(key)) lib.tokens.push(key);
+      lib.tokenMeta[key] = normalizeTokenMeta({ ...lib.tokenMeta[key], source: 'auto', enabled: true, addedAt: lib.tokenMeta[key]?.addedAt || Date.now() });
+    } else {
+      if (!lib.tokens.includes(key)) return false;
+      // only auto-added entries are removed; a human-added token stays put (and so does the candidate)
+      if (lib.tokenMeta[key]?.source !== 'auto') { manual = true; return false; }
+      lib.tokens = lib.tokens.filter(x => x !== key);
+      delete lib.tokenPairs[key];
+      delete lib.tokenMeta[key];
+    }
+  });
+  if (manual) return res.status(409).json({ ok:false, error:'token was added to the library by hand: remove it there instead' });
+  const D = updateDiscovery(D => {
+    const c = D.candidates[key];
+    if (!c) return false;
+    c.status = decision === 'accept' ? 'accepted' : 'rejected';
+    c.reviewedAt = Date.now();
+  });
+  res.json({ ok:true, candidate: D.candidates[key] || null, tokensTracked: enabledTokens(lib).length });
+});
+
+// Alert rules, webhooks and fired events
+app.get('/api/alerts', (req, res) => {
+  const A = ensureAlerts();
+  res.json({ ok:true, rules: A.rules, webhooks: A.webhooks, events: A.events.slice(0, 50) });
+});
+
+// ?ca= is `0x…` (chain from ?chain=, else the default) or `chain:0x…`; ?chain= alone limits to that chain
+app.get('/api/alerts/events', (req, res) => {
+  const limit = Math.min(ALERT_EVENTS_LIMIT, Math.max(1, Number(req.query.limit) || 100));
+  const ref = req.query.ca ? parseTokenRef(req.query.ca, req.query.chain) : null;
+  if (req.query.ca && !ref) return res.status(400).json({ ok:false, error:'bad ca' });
+  const chain = req.query.chain ? chainParam(req) : null;
+  if (req.query.chain && !chain) return res.status(400).json({ ok:false, error:'unknown chain' });
+  const events = ensureAlerts().events.filter(e => ref ? tokenKey(e.chain || DEFAULT_CHAIN, e.ca) === ref.key : !chain || (e.chain || DEFAULT_CHAIN) === chain).slice(0, limit);
+  res.json({ ok:true, count: events.length, events });
+});
+
+app.post('/api/alerts/rules', (req, res) => {
+  const { rule, error } = parseAlertRule(req.body);
+  if (error) return res.status(400).json({ ok:false, error });
+  updateAlerts(a => { a.rules.push(rule); });
+  res.status(201).json({ ok:true, rule });
+});
+
+app.patch('/api/alerts/rules/:id', (req, res) => {
+  const id = String(req.params.id);
+  const prev = ensureAlerts().rules.find(r => r.id === id);
+  if (!prev) return res.status(404).json({ ok:false, error:'not found' });
+  const { rule, error } = parseAlertRule(req.body, prev);
+  if (error) return res.status(400).json({ ok:false, error });
+  updateAlerts(a => { a.rules = a.rules.map(r => r.id === id ? rule : r); });
+  res.json({ ok:true, rule });
+});
+
+app.delete('/api/alerts/rules/:id', (req, res) => {
+  const id = String(req.params.id);
+  let found = false;
+  updateAlerts(a => {
+    found = a.rules.some(r => r.id === id);
+    if (!found) return false;
+    a.rules = a.rules.filter(r => r.id !== id);
+    for (const k of Object.keys(a.lastFired)) if (k.startsWith(id + '|')) delete a.lastFired[k];
+    for (const k of Object.keys(a.active)) if (k.startsWith(id + '|')) delete a.active[k];
+  });
+  if (!found) return res.status(404).json({ ok:false, error:'not found' });
+  res.json({ ok:true, removed: id });
+});
+
+app.post('/api/alerts/webhooks', async (req, res) => {
+  const { webhook, error } = parseWebhook(req.body);
+  if (error) return res.status(400).json({ ok:false, error });
+  const blocked = await checkWebhookHost(webhook.url);
+  if (blocked) return res.status(400).json({ ok:false, error: blocked });
+  updateAlerts(a => { a.webhooks.push(webhook); });
+  res.status(201).json({ ok:true, webhook });
+});
+
+app.patch('/api/alerts/webhooks/:id', (req, res) => {
+  const id = String(req.params.id);
+  let hook = null;
+  updateAlerts(a => {
+    hook = a.webhooks.find(h => h.id === id);
+    if (!hook) return false;
+    if (typeof req.body?.enabled === 'boolean') hook.enabled = req.body.enabled;
+    if (typeof req.body?.name === 'string') hook.name = req.body.name.slice(0, 80);
+  });
+  if (!hook) return res.status(404).json({ ok:false, error:'not found' });
+  res.json({ ok:true, webhook: hook });
+});
+
+app.delete('/api/alerts/webhooks/:id', (req, res) => {
+  const id = String(req.params.id);
+  let found = false;
+  updateAlerts(a => {
+    found = a.webhooks.some(h => h.id === id);
+    if (!found) return false;
+    a.webhooks = a.webhooks.filter(h => h.id !== id);
+    for (const r of a.rules) r.webhooks = r.webhooks.filter(w => w !== id);
+  });
+  if (!found) return res.status(404).json({ ok:false, error:'not found' });
+  res.json({ ok:true, removed: id });
+});
+
+app.post('/api/alerts/webhooks/:id/test', async (req, res) => {
+  const hook = ensureAlerts().webhooks.find(h => h.id === String(req.params.id));
+  if (!hook) return res.status(404).json({ ok:false, error:'not found' });
+  const delivery = await postWebhook(hook, { type: 'test', alert: { ts: Date.now(), message: '$tABS webhook test' } });
+  // only success/failure: the remote status or socket error would let callers map hosts they cannot reach
+  res.json(delivery.ok ? { ok:true } : { ok:false, error: delivery.blocked ? delivery.error : 'webhook did not accept the test payload' });
+});
+
+// ---------- Address book + watchlists ----------
+// labels:     { [address]: { label, category, notes, updatedAt } }
+// watchlists: [{ id, name, color, addresses: [], createdAt }]
+// Shared by everyone using this server; the UI shows labels wherever it renders addresses.
+const ADDRESS_CATEGORIES = ['dev', 'kol', 'cex', 'bot', 'team', 'other'];
+const WATCHLIST_COLORS = ['#f59e0b', '#3b82f6', '#ec4899', '#14b8a6', '#a855f7', '#ef4444'];
+const ADDRESS_BOOK_COLUMNS = ['address', 'label', 'category', 'notes', 'watchlists'];
+const isAddress = (a)=> /^0x[0-9a-f]{40}$/.test(a);
+
+// Validates a label body; returns { entry } or { error }
+function parseAddressLabel(body, prev = null) {
+  const b = { ...(prev || {}), ...(body || {}) };
+  const label = typeof b.label === 'string' ? b.label.trim() : '';
+  const category = b.category ? String(b.category).toLowerCase() : 'other';
+  if (!label || label.length > 64) return { error: 'label must be 1–64 chars' };
+  if (!ADDRESS_CATEGORIES.includes(category)) return { error: `category must be one of ${ADDRESS_CATEGORIES.join(', ')}` };
+  if (b.notes != null && (typeof b.notes !== 'string' || b.notes.length > 1000)) return { error: 'notes must be a string (≤ 1000 chars)' };
+  return { entry: { label, category, notes: b.notes || '', updatedAt: Date.now() } };
+}
+const normAddresses = (list)=> Array.from(new Set((Array.isArray(list) ? list : String(list || '').split(/[\s,;]+/))
+  .map(a => String(a).trim().toLowerCase()).filter(isAddress)));
+// Validates a watchlist body (create, or partial update over `prev`); returns { watchlist } or { error }
+function parseWatchlist(body, prev = null, count = 0) {
+  const b = body || {};
+  const w = prev ? { ...prev } : { id: newAlertId('wl_'), name: '', color: WATCHLIST_COLORS[count % WATCHLIST_COLORS.length], addresses: [], createdAt: Date.now() };
+  if ('name' in b || !prev) {
+    if (typeof b.name !== 'string' || !b.name.trim() || b.name.length > 64) return { error: 'name must be 1–64 chars' };
+    w.name = b.name.trim();
+  }
+  if ('color' in b) {
+    if (!/^#[0-9a-f]{6}$/i.test(String(b.color))) return { error: 'color must be #rrggbb' };
+    w.color = b.color;
+  }
+  if ('addresses' in b) w.addresses = normAddresses(b.addresses);
+  if (b.add) w.addresses = normAddresses([ ...w.addresses, ...normAddresses(b.add) ]);
+  if (b.remove) { const drop = new Set(normAddresses(b.remove)); w.addresses = w.addresses.filter(a => !drop.has(a)); }
+  if (w.addresses.length > 5000) return { error: 'too many addresses (max 5000)' };
+  return { watchlist: w };
+}
+
+app.get('/api/address-book', (req, res) => {
+  const b = ensureAddressBook();
+  res.json({ ok:true, categories: ADDRESS_CATEGORIES, labels: b.labels, watchlists: b.watchlists });
+});
+
+app.put('/api/address-book/:address', (req, res) => {
+  const address = String(req.params.address || '').toLowerCase();
+  if (!isAddress(address)) return res.status(400).json({ ok:false, error:'bad address' });
+  const { entry, error } = parseAddressLabel(req.body);
+  if (error) return res.status(400).json({ ok:false, error });
+  updateAddressBook(b => { b.labels[address] = entry; });
+  res.json({ ok:true, address, entry });
+});
+
+app.delete('/api/address-book/:address', (req, res) => {
+  const address = String(req.params.address || '').toLowerCase();
+  let found = false;
+  updateAddressBook(b => {
+    found = !!b.labels[address];
+    if (!found) return false;
+    delete b.labels[address];
+  });
+  if (!found) return res.status(404).json({ ok:false, error:'not found' });
+  res.json({ ok:true, removed: address });
+});
+
+app.post('/api/watchlists', (req, res) => {
+  const { watchlist, error } = parseWatchlist(req.body, null, ensureAddressBook().watchlists.length);
+  if (error) return res.status(400).json({ ok:false, error });
+  updateAddressBook(b => { b.watchlists.push(watchlist); });
+  res.status(201).json({ ok:true, watchlist });
+});
+
+// body: { name?, color?, addresses? (replace), add?, remove? }
+app.patch('/api/watchlists/:id', (req, res) => {
+  const id = String(req.params.id);
+  const prev = ensureAddressBook().watchlists.find(w => w.id === id);
+  if (!prev) return res.status(404).json({ ok:false, error:'not found' });
+  const { watchlist, error } = parseWatchlist(req.body, prev);
+  if (error) return res.status(400).json({ ok:false, error });
+  updateAddressBook(b => { b.watchlists = b.watchlists.map(w => w.id === id ? watchlist : w); });
+  res.json({ ok:true, watchlist });
+});
+
+app.delete('/api/watchlists/:id', (req, res) => {
+  const id = String(req.params.id);
+  let found = false;
+  updateAddressBook(b => {
+    found = b.watchlists.some(w => w.id === id);
+    if (!found) return false;
+    b.watchlists = b.watchlists.filter(w => w.id !== id);
+  });
+  if (!found) return res.status(404).json({ ok:false, error:'not found' });
+  res.json({ ok:true, removed: id });
+});
+
+app.get('/api/address-book/export', (req, res) => {
+  const b = ensureAddressBook();
+  const stamp = new Date().toISOString().slice(0, 10);
+  if (String(req.query.format || 'json') === 'csv') {
+    // one row per labelled or watched address; watchlists by name, `;`-separated
+    const addrs = Array.from(new Set([ ...Object.keys(b.labels), ...b.watchlists.flatMap(w => w.addresses) ]));
+    const rows = addrs.map(a => {
+      const l = b.labels[a] || {};
+      return [a, l.label || '', l.label ? l.category : '', l.notes || '', b.watchlists.filter(w => w.addresses.includes(a)).map(w => w.name).join(';')];
+    });
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="address-book-${stamp}.csv"`);
+    return res.send(toCSV(ADDRESS_BOOK_COLUMNS, rows));
+  }
+  res.setHeader('Content-Disposition', `attachment; filename="address-book-${stamp}.json"`);
+  res.json({ version: 1, exportedAt: Date.now(), labels: b.labels, watchlists: b.watchlists });
+});
+
+// Accepts the JSON export, or CSV with an `address` column (+ label, category, notes, watchlists).
+// Merges: labels overwrite by address, watchlists merge by name (created when missing).
+app.post('/api/address-book/import', express.text({ type: 'text/*', limit: '2mb' }), (req, res) => {
+  let entries = [], lists = [];
+  const body = req.body;
+  if (typeof body === 'string' || typeof body?.csv === 'string') {
+    const rows = parseCSV(typeof body === 'string' ? body : body.csv);
+    const head = (rows[0] || []).map(h => h.trim().toLowerCase());
+    if (!head.includes('address')) return res.status(400).json({ ok:false, error:'CSV needs an address column' });
+    for (const r of rows.slice(1)) {
+      const o = {};
+      head.forEach((h, i) => { o[h] = (r[i] ?? '').trim(); });
+      entries.push(o);
+      for (const name of (o.watchlists || '').split(';').map(x => x.trim()).filter(Boolean)) lists.push({ name, addresses: [o.address] });
+    }
+  } else if (body && typeof body === 'object') {
+    entries = Object.entries(body.labels || {}).map(([address, l]) => ({ address, ...l }));
+    lists = Array.isArray(body.watchlists) ? body.watchlists : [];
+  }
+  if (!entries.length && !lists.length) return res.status(400).json({ ok:false, error:'nothing to import' });
+
+  const summary = { labels: 0, invalid: 0, watchlists: 0 };
+  const b = updateAddressBook(b => {
+    for (const e of entries) {
+      const address = String(e.address || '').trim().toLowerCase();
+      if (!e.label) continue; // watchlist-only CSV rows
+      const { entry } = isAddress(address) ? parseAddressLabel(e) : {};
+      if (!entry) { summary.invalid++; continue; }
+      b.labels[address] = entry;
+      summary.labels++;
+    }
+    for (const l of lists) {
+      const name = String(l?.name || '').trim();
+      const addresses = normAddresses(l?.addresses);
+      if (!name || name.length > 64) { summary.invalid++; continue; }
+      let w = b.watchlists.find(x => x.name === name);
+      if (!w) {
+        const init = /^#[0-9a-f]{6}$/i.test(String(l.color)) ? { name, color: l.color } : { name };
+        w = parseWatchlist(init, null, b.watchlists.length).watchlist;
+        b.watchlists.push(w);
+        summary.watchlists++;
+      }
+      w.addresses = normAddresses([ ...w.addresses, ...addresses ]);
+    }
+  });
+  res.json({ ok:true, summary, labels: Object.keys(b.labels).length, watchlists: b.watchlists.length });
+});
+
+// Per-token time series: one point per scan
+app.get('/api/tokens/:ca/history', (req, res) => {
+  const ref = parseTokenRef(req.params.ca, req.query.chain);
+  if (!ref) return res.status(400).json({ ok:false, error:'bad ca' });
+  const { ca, chain } = ref;
+  const win = String(req.query.window || '24h');
+  const windowMs = SERIES_WINDOWS[win];
+  if (!windowMs) return res.status(400).json({ ok:false, error:`window must be one of ${Object.keys(SERIES_WINDOWS).join(', ')}` });
+  try {
+    const points = readTokenSeries(tokenDataId(chain, ca), windowMs);
+    res.json({ ok:true, ca, chain, window: win, points });
+  } catch (e) {
+    res.status(500).json({ ok:false, error: e.message || String(e) });
+  }
+});
+
+// Holder count + concentration over time (deep-scanned tokens only)
+app.get('/api/tokens/:ca/holders-history', (req, res) => {
+  const ref = parseTokenRef(req.params.ca, req.query.chain);
+  if (!ref) return res.status(400).json({ ok:false, error:'bad ca' });
+  const { ca, chain } = ref;
+  const win = String(req.query.window || '7d');
+  const windowMs = SERIES_WINDOWS[win];
+  if (!windowMs) return res.status(400).json({ ok:false, error:`window must be one of ${Object.keys(SERIES_WINDOWS).join(', ')}` });
+  try {
+    const points = readSeriesFile(holdersHistoryFileForToken(tokenDataId(chain, ca)), windowMs);
+    res.json({ ok:true, ca, chain, window: win, points });
+  } catch (e) {
+    res.status(500).json({ ok:false, error: e.message || String(e) });
+  }
+});
+
+// Top-holder movements between deep scans, newest first; ?type=sell,exit filters, ?limit ≤ HOLDER_EVENTS_LIMIT
+app.get('/api/tokens/:ca/holder-events', (req, res) => {
+  const ref = parseTokenRef(req.params.ca, req.query.chain);
+  if (!ref) return res.status(400).json({ ok:false, error:'bad ca' });
+  const { ca, chain } = ref;
+  const win = String(req.query.window || '30d');
+  const windowMs = SERIES_WINDOWS[win];
+  if (!windowMs) return res.status(400).json({ ok:false, error:`window must be one of ${Object.keys(SERIES_WINDOWS).join(', ')}` });
+  const types = req.query.type ? String(req.query.type).split(',').map(t => t.trim()).filter(Boolean) : HOLDER_EVENT_TYPES;
+  const bad = types.find(t => !HOLDER_EVENT_TYPES.includes(t));
+  if (bad) return res.status(400).json({ ok:false, error:`type must be from ${HOLDER_EVENT_TYPES.join(', ')}` });
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 200, 1), HOLDER_EVENTS_LIMIT);
+  const since = Date.now() - windowMs;
+  try {
+    const events = readNDJSON(holderEventsFileForToken(tokenDataId(chain, ca)))
+      .filter(e => e.ts >= since && types.includes(e.type))
+      .sort((a,b)=> b.ts - a.ts)
+      .slice(0, limit);
+    res.json({ ok:true, ca, chain, window: win, minMovePct: HOLDER_MOVE_MIN_PCT, events });
   } catch (e) {
     res.status(500).json({ ok:false, error: e.message || String(e) });
   }
@@ -230,55 +2681,274 @@ app.get('/api/snapshot/latest', (req, res) => {
 
 // Add a token to library + discover pairs + return computed row
 app.post('/api/add-token', async (req, res) => {
-  const caRaw = (req.body?.ca || '').trim();
-  const isCA = /^0x[a-fA-F0-9]{40}$/.test(caRaw);
-  if (!isCA) return res.status(400).json({ ok:false, error:'Invalid contract address' });
-  const ca = caRaw.toLowerCase();
+  const ref = parseTokenRef(req.body?.ca, req.body?.chain);
+  if (!ref) return res.status(400).json({ ok:false, error:'Invalid contract address or chain' });
+  const { ca, chain, key } = ref;
 
   try {
-    const lib = ensureTokensLib();
-    if (!lib.tokens.includes(ca)) lib.tokens.push(ca);
-
-    // Discover / update pairs and compute aggregated 24h vol
-    const vol24 = await sumVolume24hForToken(ca, lib); // also persists pairs to tokens-lib.json
+    const lib = updateTokensLib(lib => {
+      if (lib.tokens.includes(key)) return false;
+      lib.tokens.push(key);
+      lib.tokenMeta[key] = normalizeTokenMeta({ source: 'manual', addedAt: Date.now() });
+    });
 
-    const t = await fetchTokenAbstract(ca);
-    const row = makeRowFromTokenAbstract(t, ca, vol24);
+    // Discover / update pairs and aggregate 24h vol, liquidity and txns
+    const agg = await aggregatePairsForToken(key, lib); // also persists pairs to tokens-lib.json
 
-    // Persist tokens-lib (tokens list may have changed)
-    writeJSON(TOKENS_LIB_FILE, lib);
+    const t = await fetchTokenAbstract(ca, chain);
+    const row = { ...makeRowFromTokenAbstract(t, ca, agg, chain), risk: riskBadge(ensureTokenStatsFile().byCA, chain, ca) };
 
-    res.json({ ok:true, row, tokensTracked: lib.tokens.length });
+    res.json({ ok:true, row, tokensTracked: enabledTokens(lib).length });
   } catch (e) {
     console.error('/api/add-token error:', ca, e.message);
     res.status(500).json({ ok:false, error:e.message || String(e) });
   }
 });
 
+// Same row as add-token, read-only: nothing is added to the library (shared /token/:ca links)
+app.get('/api/tokens/:ca/row', async (req, res) => {
+  const ref = parseTokenRef(req.params.ca, req.query.chain);
+  if (!ref) return res.status(400).json({ ok:false, error:'bad ca' });
+  const { ca, chain, key } = ref;
+  try {
+    const t = await fetchTokenAbstract(ca, chain);
+    const { pairAddrs: _p, ...agg } = await searchPairsForToken(ca, chain).catch(() => ({ vol24: Number(t?.volume?.h24 || 0) }));
+    const row = { ...makeRowFromTokenAbstract(t, ca, agg, chain), risk: riskBadge(ensureTokenStatsFile().byCA, chain, ca) };
+    res.json({ ok:true, row, tracked: ensureTokensLib().tokens.includes(key) });
+  } catch (e) {
+    res.status(500).json({ ok:false, error:e.message || String(e) });
+  }
+});
+
 // Deep-scan cache used by abs-tabs-integration.js
 app.get('/api/token-stats/:ca', (req, res) => {
-  const ca = (req.params.ca || '').toLowerCase();
-  if (!/^0x[0-9a-f]{40}$/.test(ca)) return res.status(400).json({ ok:false, error:'bad ca' });
+  const ref = parseTokenRef(req.params.ca, req.query.chain);
+  if (!ref) return res.status(400).json({ ok:false, error:'bad ca' });
   const m = ensureTokenStatsFile();
-  const rec = m.byCA[ca];
+  const rec = m.byCA[tokenDataId(ref.chain, ref.ca)];
   if (!rec) return res.json({ ok:false, error:'not found' });
-  res.json({ ok:true, ts: rec.ts, data: rec.data });
+  res.json({ ok:true, ts: rec.ts, data: rec.data, provenance: rec.provenance ?? null });
+});
+
+// Holders CSV: every holder in holdersForBubbles (top 500; the first 25 are the Top 25 table) + LP pairs
+app.get('/api/token-stats/:ca/holders.csv', (req, res) => {
+  const ref = parseTokenRef(req.params.ca, req.query.chain);
+  if (!ref) return res.status(400).json({ ok:false, error:'bad ca' });
+  const rec = ensureTokenStatsFile().byCA[tokenDataId(ref.chain, ref.ca)];
+  if (!rec) return res.status(404).json({ ok:false, error:'not found' });
+  const A = rec.data?.a || {}, labels = ensureAddressBook().labels;
+  const top = new Map((rec.data?.b?.top25 || []).map(h => [h.address, h]));
+  const rows = (A.holdersForBubbles || []).map((h, i) => [i + 1, h.address, top.get(h.address)?.firstIn ?? '', h.balance, h.pct, 'holder', labels[h.address]?.label || '']);
+  for (const n of A.lpNodes || []) rows.push(['', n.address, '', n.balance, n.pct, 'lp', labels[n.address]?.label || '']);
+  sendCSV(res, `holders-${ref.chain}-${ref.ca}.csv`, HOLDERS_CSV_COLUMNS, rows);
+});
+
+// Buyers CSV: the First 25 table
+app.get('/api/token-stats/:ca/buyers.csv', (req, res) => {
+  const ref = parseTokenRef(req.params.ca, req.query.chain);
+  if (!ref) return res.status(400).json({ ok:false, error:'bad ca' });
+  const rec = ensureTokenStatsFile().byCA[tokenDataId(ref.chain, ref.ca)];
+  if (!rec) return res.status(404).json({ ok:false, error:'not found' });
+  const labels = ensureAddressBook().labels;
+  const rows = (rec.data?.b?.first25 || []).map((r, i) => [i + 1, r.address, isoOrEmpty(Number(r.timeStamp) * 1000), r.firstInAmount, r.totalIn, r.totalOut, r.holdings, r.status, labels[r.address]?.label || '']);
+  sendCSV(res, `buyers-${ref.chain}-${ref.ca}.csv`, BUYERS_CSV_COLUMNS, rows);
+});
+
+// ---------- Uploaded deep-scan results (validation, upload tokens, versions) ----------
+// Every GET of /api/token-stats feeds other users' screens, so uploads are only taken from a
+// write-scope API key or a server-issued upload token, checked against the scan shape, and
+// rebuilt from known fields only (risk/clusters are server-computed and never accepted).
+const UPLOAD_TOKEN_SECRET = process.env.UPLOAD_TOKEN_SECRET || crypto.randomBytes(32).toString('hex');
+const UPLOAD_TOKEN_TTL_MAX_MIN = 7 * 24 * 60;
+
+const uploadTokenSig = (body)=> crypto.createHmac('sha256', UPLOAD_TOKEN_SECRET).update(body).digest('base64url');
+// claims: { sub, id (tokenDataId or null = any token), exp }
+function signUploadToken(claims) {
+  const body = Buffer.from(JSON.stringify(claims)).toString('base64url');
+  return `${body}.${uploadTokenSig(body)}`;
+}
+// Returns the claims when `token` is validly signed, unexpired and covers token `id`; else null
+function verifyUploadToken(token, id) {
+  const [body, sig] = String(token || '').split('.');
+  if (!body || !sig) return null;
+  const want = Buffer.from(uploadTokenSig(body)), got = Buffer.from(sig);
+  if (want.length !== got.length || !crypto.timingSafeEqual(want, got)) return null;
+  let claims;
+  try { claims = JSON.parse(Buffer.from(body, 'base64url').toString('utf8')); } catch { return null; }
+  if (!(claims?.exp > Date.now()) || (claims.id && claims.id !== id)) return null;
+  return claims;
+}
+
+// Issues an upload token for tools that push scans without holding an API key themselves.
+// Needs a real write key even while auth is off (otherwise anyone could mint tokens).
+app.post('/api/token-stats/upload-tokens', (req, res) => {
+  if (!req.apiKey || !hasScope(req.apiKey, 'write')) return res.status(403).json({ ok:false, error:'issuing upload tokens needs a write-scope API key' });
+  const sub = String(req.body?.name || '').trim().slice(0, 80);
+  const ttlMin = Number(req.body?.ttlMin ?? 60);
+  if (!sub) return res.status(400).json({ ok:false, error:'name required' });
+  if (!Number.isFinite(ttlMin) || ttlMin < 1 || ttlMin > UPLOAD_TOKEN_TTL_MAX_MIN) return res.status(400).json({ ok:false, error:`ttlMin must be 1–${UPLOAD_TOKEN_TTL_MAX_MIN}` });
+  let id = null;
+  if (req.body?.ca) {
+    const ref = parseTokenRef(req.body.ca, req.body.chain);
+    if (!ref) return res.status(400).json({ ok:false, error:'bad ca' });
+    id = tokenDataId(ref.chain, ref.ca);
+  }
+  const claims = { sub, id, iss: req.apiKey.id, exp: Date.now() + ttlMin * 60000 };
+  res.status(201).json({ ok:true, token: signUploadToken(claims), ...claims });
 });
 
 app.post('/api/token-stats/save', (req, res) => {
-  const ca = (req.body?.ca || '').toLowerCase();
-  const data = req.body?.data;
-  if (!/^0x[0-9a-f]{40}$/.test(ca)) return res.status(400).json({ ok:false, error:'bad ca' });
-  if (!data || typeof data !== 'object') return res.status(400).json({ ok:false, error:'bad data' });
+  const ref = parseTokenRef(req.body?.ca, req.body?.chain);
+  if (!ref) return res.status(400).json({ ok:false, error:'bad ca' });
+  const id = tokenDataId(ref.chain, ref.ca);
+  let by;
+  if (req.apiKey && hasScope(req.apiKey, 'write')) by = { by: req.apiKey.name, keyId: req.apiKey.id };
+  else {
+    const claims = verifyUploadToken(req.get('x-upload-token'), id);
+    if (!claims) return res.status(403).json({ ok:false, error: req.get('x-upload-token') ? 'invalid or expired upload token' : 'saving needs a write-scope API key or an upload token' });
+    by = { by: claims.sub, issuedBy: claims.iss };
+  }
+  const { data, error } = validateScanData(req.body?.data, ref);
+  if (error) return res.status(400).json({ ok:false, error });
 
-  const m = ensureTokenStatsFile();
-  const ts = Date.now();
-  m.byCA[ca] = { ts, data };
-  const ok = writeJSON(TOKEN_STATS_FILE, m);
-  if (!ok) return res.status(500).json({ ok:false, error:'persist failed' });
+  const ts = saveTokenStats(id, data, null, { source: 'upload', ...by, ip: req.ip });
+  if (!ts) return res.status(500).json({ ok:false, error:'persist failed' });
   res.json({ ok:true, ts });
 });
 
+// Saved versions of a token's deep-scan result (newest first, without the data itself)
+app.get('/api/token-stats/:ca/versions', (req, res) => {
+  const ref = parseTokenRef(req.params.ca, req.query.chain);
+  if (!ref) return res.status(400).json({ ok:false, error:'bad ca' });
+  const id = tokenDataId(ref.chain, ref.ca);
+  const versions = readTokenStatsVersions(id).map(v => ({
+    ts: v.ts, provenance: v.provenance, totalHolders: v.data?.a?.totalHolders ?? null, top10Pct: v.data?.a?.top10Pct ?? null
+  }));
+  res.json({ ok:true, ca: ref.ca, chain: ref.chain, current: ensureTokenStatsFile().byCA[id]?.ts ?? null, versions });
+});
+app.get('/api/token-stats/:ca/versions/:ts', (req, res) => {
+  const ref = parseTokenRef(req.params.ca, req.query.chain);
+  if (!ref) return res.status(400).json({ ok:false, error:'bad ca' });
+  const v = readTokenStatsVersions(tokenDataId(ref.chain, ref.ca)).find(x => x.ts === Number(req.params.ts));
+  if (!v) return res.status(404).json({ ok:false, error:'not found' });
+  res.json({ ok:true, ...v });
+});
+// Makes an older version current again (as a new version, so the rollback itself can be undone)
+app.post('/api/token-stats/:ca/rollback', (req, res) => {
+  const ref = parseTokenRef(req.params.ca, req.query.chain ?? req.body?.chain);
+  if (!ref) return res.status(400).json({ ok:false, error:'bad ca' });
+  const id = tokenDataId(ref.chain, ref.ca);
+  const v = readTokenStatsVersions(id).find(x => x.ts === Number(req.body?.ts));
+  if (!v) return res.status(404).json({ ok:false, error:'version not found' });
+  const ts = saveTokenStats(id, v.data, null, { source: 'rollback', from: v.ts, by: req.apiKey?.name || 'anonymous', ip: req.ip });
+  if (!ts) return res.status(500).json({ ok:false, error:'persist failed' });
+  res.json({ ok:true, ts, from: v.ts });
+});
+
+// Server-side deep scan: returns a job id; poll GET /api/jobs/:id (or listen for SSE `job`).
+// Resumes from the last scanned block when possible; ?full=1 rebuilds from block 0
+app.post('/api/token-stats/:ca/scan', (req, res) => {
+  const ref = parseTokenRef(req.params.ca, req.query.chain);
+  if (!ref) return res.status(400).json({ ok:false, error:'bad ca' });
+  const full = req.query.full === '1' || req.body?.full === true;
+  const { job, existing } = enqueueDeepScan(ref.ca, { full, chain: ref.chain, requestedBy: req.apiKey?.name || 'anonymous' });
+  res.status(existing ? 200 : 202).json({ ok:true, jobId: job.id, existing, job });
+});
+
+app.get('/api/jobs/:id', (req, res) => {
+  const job = jobs.get(String(req.params.id || ''));
+  if (!job) return res.status(404).json({ ok:false, error:'not found' });
+  res.json({ ok:true, job });
+});
+
+// Etherscan proxy: GET /api/chain/tokentx?contractaddress=0x…&page=1[&chain=base] — body is Etherscan's { status, message, result }
+app.get('/api/chain/:action', async (req, res) => {
+  const action = String(req.params.action || '');
+  if (!CHAIN_ACTIONS[action]) return res.status(404).json({ ok:false, error:'unsupported action' });
+  const chain = chainParam(req);
+  if (!chain) return res.status(400).json({ ok:false, error:'unknown chain' });
+  const { params, error } = parseChainParams(req.query);
+  if (error) return res.status(400).json({ ok:false, error });
+  if (!chainRateOk(req.ip)) {
+    res.set('Retry-After', '60');
+    return res.status(429).json({ ok:false, error:'rate limited' });
+  }
+  try {
+    const { data, cached } = await chainProxyGet(action, params, chain);
+    res.set('X-Cache', cached ? 'HIT' : 'MISS');
+    res.json(data);
+  } catch (e) {
+    res.status(502).json({ ok:false, error: e.message || String(e) });
+  }
+});
+
+// Side-by-side data for 2–4 tokens (`?cas=0x…,chain:0x…`): latest row (board row, else the last
+// series point), history for ?window=, deep-scan concentration and the first-25 status mix
+const COMPARE_MAX = 4;
+app.get('/api/compare', (req, res) => {
+  const raw = String(req.query.cas || '').split(',').map(x => x.trim()).filter(Boolean);
+  const refs = raw.map(x => parseTokenRef(x, req.query.chain));
+  if (refs.some(r => !r)) return res.status(400).json({ ok:false, error:'bad ca in cas' });
+  const unique = [...new Map(refs.map(r => [tokenKey(r.chain, r.ca), r])).values()];
+  if (unique.length < 2 || unique.length > COMPARE_MAX) return res.status(400).json({ ok:false, error:`compare needs 2–${COMPARE_MAX} distinct tokens` });
+  const win = String(req.query.window || '24h');
+  const windowMs = SERIES_WINDOWS[win];
+  if (!windowMs) return res.status(400).json({ ok:false, error:`window must be one of ${Object.keys(SERIES_WINDOWS).join(', ')}` });
+  try {
+    const lib = ensureTokensLib();
+    const stats = ensureTokenStatsFile().byCA;
+    const latest = ensureSnapshots().latest;
+    const tokens = unique.map(({ chain, ca }) => {
+      const id = tokenDataId(chain, ca), key = tokenKey(chain, ca);
+      const row = findBoardRow(snapshotForChain(latest, chain), ca);
+      const last = row ? null : lastTokenSeriesPoint(id);
+      const rec = stats[id], A = rec?.data?.a, first = rec?.data?.b?.first25 || [];
+      const statuses = {};
+      for (const r of first) statuses[r.status] = (statuses[r.status] || 0) + 1;
+      return {
+        ca, chain, key,
+        tracked: lib.tokens.includes(key),
+        label: lib.tokenMeta[key]?.label || '',
+        row: row || (last ? { ...last, baseAddress: ca, chain, fromSeries: true } : null),
+        points: readTokenSeries(id, windowMs),
+        scan: A ? {
+          ts: rec.ts,
+          totalHolders: A.totalHolders,
+          top10Pct: A.top10Pct,
+          creatorPct: A.creatorPct,
+          lpPct: (A.lpNodes || []).reduce((s,n)=> s + (n.pct || 0), 0),
+          risk: riskBadge(stats, chain, ca),
+          first25: first.length,
+          statuses
+        } : null
+      };
+    });
+    res.json({ ok:true, window: win, tokens });
+  } catch (e) {
+    res.status(500).json({ ok:false, error: e.message || String(e) });
+  }
+});
+
+// Wallet profile (tracked tokens only); cached briefly since it costs several Etherscan calls
+app.get('/api/wallets/:address', async (req, res) => {
+  const address = String(req.params.address || '').toLowerCase();
+  if (!/^0x[0-9a-f]{40}$/.test(address)) return res.status(400).json({ ok:false, error:'bad address' });
+  const chain = chainParam(req);
+  if (!chain) return res.status(400).json({ ok:false, error:'unknown chain' });
+  const key = `${chain}:${address}`;
+  const hit = walletCache.get(key);
+  if (hit && Date.now() - hit.at < WALLET_CACHE_TTL_MS) return res.json({ ok:true, cached:true, profile: hit.profile });
+  try {
+    const profile = await buildWalletProfile(address, chain);
+    walletCache.set(key, { at: Date.now(), profile });
+    if (walletCache.size > 200) walletCache.delete(walletCache.keys().next().value);
+    res.json({ ok:true, cached:false, profile });
+  } catch (e) {
+    console.error('/api/wallets error:', address, e.message);
+    res.status(502).json({ ok:false, error: e.message || String(e) });
+  }
+});
+
 // ---------- Static ----------
 app.use(express.static(PUBLIC_DIR, {
   extensions: ['html'],
@@ -286,7 +2956,11 @@ app.use(express.static(PUBLIC_DIR, {
 }));
 console.log('Serving static from:', PUBLIC_DIR);
 
-// SPA fallback
+// /wallet/:address is the wallet profile page (its funders panel is /wallet/:address#funders), not a
+// route inside index.html: the profile already carries the funders view the SPA overlay shows
+app.get('/wallet/:address', (req, res) => res.sendFile(path.join(PUBLIC_DIR, 'wallet.html')));
+
+// SPA fallback (client routes /token/:ca and /board/:id are resolved in index.html)
 app.get('*', (req, res, next) => {
   if (req.path.startsWith('/api/')) return next();
   res.sendFile(path.join(PUBLIC_DIR, 'index.html'));
@@ -301,4 +2975,12 @@ process.on('uncaughtException',  (err)=> console.error('UNCAUGHT EXCEPTION:', er
 
 app.listen(PORT, HOST, () => {
   console.log(`Server running at http://${HOST}:${PORT} (env PORT=${process.env.PORT || 'unset'})`);
+  bootstrapAdminKey();
+  console.log(ensureApiKeys().keys.length ? 'API keys: auth enabled for writes + /api/v1'
+    : API_OPEN_WRITES ? 'API keys: none configured, API_OPEN_WRITES=1 leaves writes open' : 'API keys: none configured, writes refused until ADMIN_API_KEY is set');
+  migrateScanState();
+  seedHistoryFromSnapshots();
+  startScanScheduler();
+  startDiscoveryScheduler();
+  startHoldersRescanScheduler();
 });
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { matchAlertRules, applyAlertCooldowns } = require('../lib/alerts.cjs');
+
+const CA = '0x' + 'a'.repeat(40);
+const CB = '0x' + 'b'.repeat(40);
+const row = (h1, extra = {})=> ({ chain: 'abstract', baseAddress: CA, symbol: 'AAA', priceChange: { h1 }, ...extra });
+const threshold = (extra = {})=> ({ id: 'r1', type: 'threshold', enabled: true, field: 'h1', op: '>', value: 10, cooldownMin: 0, ...extra });
+const run = (rules, rows, state)=> matchAlertRules(rules, { snapshot: { ts: 1 }, rows }, state);
+
+test('threshold rules fire on the crossing, not while the condition holds', () => {
+  const state = { active: {} };
+  const rules = [threshold()];
+  assert.equal(run(rules, [row(5)], state).length, 0);
+  const [hit] = run(rules, [row(12)], state);
+  assert.equal(hit.value, 12);
+  assert.equal(hit.message, 'AAA h1 12 > 10');
+  assert.equal(run(rules, [row(15)], state).length, 0, 'still above: no re-fire');
+  assert.equal(run(rules, [row(8)], state).length, 0);
+  assert.deepEqual(state.active, {}, 'dropping below re-arms the rule');
+  assert.equal(run(rules, [row(11)], state).length, 1);
+});
+
+test('edge state is kept per rule and token', () => {
+  const state = { active: {} };
+  const rules = [threshold(), threshold({ id: 'r2', value: 20 })];
+  assert.deepEqual(run(rules, [row(25), row(15, { baseAddress: CB })], state).map(h => [h.rule.id, h.row.baseAddress]),
+    [['r1', CA], ['r1', CB], ['r2', CA]]);
+  assert.deepEqual(run(rules, [row(25), row(25, { baseAddress: CB })], state).map(h => [h.rule.id, h.row.baseAddress]), [['r2', CB]]);
+});
+
+test('disabled rules and rows without a value never fire', () => {
+  const state = { active: {} };
+  assert.equal(run([threshold({ enabled: false })], [row(50)], state).length, 0);
+  assert.equal(run([threshold()], [row(null), { chain: 'abstract', baseAddress: CB }], state).length, 0);
+});
+
+test('rules are scoped by chain:ca', () => {
+  const state = { active: {} };
+  const rows = [row(50), row(50, { chain: 'base' })];
+  assert.deepEqual(run([threshold({ ca: CA })], rows, state).map(h => h.row.chain), ['abstract'], 'ca rules default to DEFAULT_CHAIN');
+  assert.deepEqual(run([threshold({ id: 'r2', ca: CA, chain: 'base' })], rows, state).map(h => h.row.chain), ['base']);
+  assert.deepEqual(run([threshold({ id: 'r3', chain: 'base' })], rows, state).map(h => h.row.chain), ['base']);
+  assert.deepEqual(run([threshold({ id: 'r4' })], rows, state).map(h => h.row.chain), ['abstract', 'base'], 'no chain: any chain');
+});
+
+test('volume_multiple compares against the previous volume from ctx.prevVolume', () => {
+  const rule = { id: 'v1', type: 'volume_multiple', enabled: true, factor: 3, minVolume: 1000, cooldownMin: 0 };
+  const prev = { [CA]: 1000, [CB]: 100 };
+  const ctx = (rows)=> ({ snapshot: { ts: 1 }, rows, prevVolume: (r)=> prev[r.baseAddress] });
+  const vol = (ca, volume24h)=> row(0, { baseAddress: ca, volume24h });
+  assert.deepEqual(matchAlertRules([rule], ctx([vol(CA, 3000), vol(CB, 900)]), { active: {} }).map(h => h.value), [3000], 'below minVolume');
+  assert.equal(matchAlertRules([rule], ctx([vol(CA, 2999)]), { active: {} }).length, 0);
+  assert.equal(matchAlertRules([rule], { snapshot: { ts: 1 }, rows: [vol(CA, 1e9)] }, { active: {} }).length, 0, 'no previous volume: no baseline');
+});
+
+test('board_entry fires for tokens new to the top N, per chain', () => {
+  const rule = { id: 'b1', type: 'board_entry', enabled: true, board: 'topGainers', top: 2, cooldownMin: 0 };
+  const board = (...cas)=> cas.map(ca => ({ baseAddress: ca, symbol: ca.slice(2, 5) }));
+  const snap = (abstract, base)=> ({ ts: 2, byChain: { abstract: { topGainers: abstract }, base: { topGainers: base } } });
+  const ctx = (prevSnapshot)=> ({ snapshot: snap(board(CA, CB), board(CA)), prevSnapshot, rows: [] });
+  assert.equal(matchAlertRules([rule], ctx(null), { active: {} }).length, 0, 'no baseline on the first snapshot');
+  const hits = matchAlertRules([rule], ctx(snap(board(CA), board())), { active: {} });
+  assert.deepEqual(hits.map(h => h.message), ['bbb entered topGainers top 2 at #2', 'aaa entered base topGainers top 2 at #1']);
+});
+
+test('holder_event rules match event type, size and token', () => {
+  const rule = { id: 'h1', type: 'holder_event', enabled: true, ca: CA, events: ['sell', 'decrease'], minPct: 1, cooldownMin: 0 };
+  const W = '0x' + '1'.repeat(40);
+  const token = { chain: 'abstract', baseAddress: CA, symbol: 'AAA' };
+  const holderEvents = [
+    { type: 'sell', address: W, pct: 2, txs: 1, prevRank: 3 },
+    { type: 'sell', address: W, pct: 0.5, txs: 1 },
+    { type: 'decrease', address: W, rank: 4, pct: 1, prevPct: 3, deltaPct: -2 },
+    { type: 'enter', address: W, rank: 1, pct: 9 }
+  ];
+  const hits = matchAlertRules([rule], { holderEvents, token }, { active: {} });
+  assert.deepEqual(hits.map(h => [h.value, h.wallet]), [[2, W], [1, W]]);
+  assert.equal(matchAlertRules([rule], { holderEvents, token: { ...token, chain: 'base' } }, { active: {} }).length, 0);
+  assert.equal(matchAlertRules([threshold()], { holderEvents, token }, { active: {} }).length, 0, 'only holder_event rules apply to deep scans');
+});
+
+test('cooldowns are per rule + token (+ wallet) and stamp lastFired', () => {
+  const MIN = 60000;
+  const rule = threshold({ cooldownMin: 30 });
+  const hit = (extra = {})=> ({ rule, row: row(20), ...extra });
+  const lastFired = {};
+  assert.equal(applyAlertCooldowns([hit()], lastFired, 100 * MIN).length, 1);
+  assert.deepEqual(lastFired, { [`r1|${CA}`]: 100 * MIN }, 'DEFAULT_CHAIN tokens keep the bare ca key');
+  assert.equal(applyAlertCooldowns([hit()], lastFired, 129 * MIN).length, 0);
+  assert.equal(lastFired[`r1|${CA}`], 100 * MIN, 'suppressed hits do not extend the cooldown');
+  assert.equal(applyAlertCooldowns([hit({ row: row(20, { chain: 'base' }) })], lastFired, 129 * MIN).length, 1, 'other chain, own cooldown');
+  assert.equal(applyAlertCooldowns([hit({ wallet: '0x1' }), hit({ wallet: '0x2' })], lastFired, 129 * MIN).length, 2, 'holder events cool down per wallet');
+  assert.equal(applyAlertCooldowns([hit()], lastFired, 130 * MIN).length, 1);
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildFundingClusters } = require('../lib/scan.cjs');
+
+const W = (n)=> '0x' + n.toString(16).padStart(40, '0');
+const F = (n)=> '0xf' + n.toString(16).padStart(39, '0');
+const pctOf = (shares)=> (a)=> shares[a] || 0;
+
+test('wallets funded by the same address form one cluster', () => {
+  const wallets = [W(1), W(2), W(3)];
+  const funders = { [W(1)]: [{ address: F(1), block: 10 }], [W(2)]: [{ address: F(1), block: 20 }], [W(3)]: [{ address: F(2), block: 30 }] };
+  const clusters = buildFundingClusters(wallets, funders, pctOf({ [W(1)]: 2, [W(2)]: 3 }));
+  assert.equal(clusters.length, 1, 'singletons are dropped');
+  assert.deepEqual(clusters[0], {
+    id: 1,
+    wallets: [W(1), W(2)],
+    funders: [F(1)],
+    blocks: [],
+    pct: 5,
+    links: [{ a: W(1), b: W(2), via: 'funder', funder: F(1) }]
+  });
+});
+
+test('a shared first-funding block links wallets with different funders', () => {
+  const wallets = [W(1), W(2)];
+  const funders = { [W(1)]: [{ address: F(1), block: 50 }, { address: F(3), block: 40 }], [W(2)]: [{ address: F(2), block: 40 }] };
+  const [c] = buildFundingClusters(wallets, funders, pctOf({}));
+  assert.deepEqual(c.blocks, [40], 'the earliest funding block counts');
+  assert.deepEqual(c.links, [{ a: W(1), b: W(2), via: 'block', block: 40 }]);
+});
+
+test('funding from another traced wallet is a transfer, not a shared source', () => {
+  const wallets = [W(1), W(2), W(3)];
+  const funders = { [W(2)]: [{ address: W(1), block: 0 }], [W(3)]: [{ address: W(1), block: 0 }] };
+  assert.deepEqual(buildFundingClusters(wallets, funders, pctOf({})), []);
+});
+
+test('links form a spanning forest and clusters merge transitively', () => {
+  const wallets = [W(1), W(2), W(3), W(4)];
+  const funders = {
+    [W(1)]: [{ address: F(1), block: 5 }],
+    [W(2)]: [{ address: F(1), block: 6 }],
+    [W(3)]: [{ address: F(1), block: 5 }], // same funder and same block as W(1): still one link
+    [W(4)]: [{ address: F(2), block: 6 }]  // joins through W(2)'s block
+  };
+  const [c, ...rest] = buildFundingClusters(wallets, funders, pctOf({}));
+  assert.equal(rest.length, 0);
+  assert.deepEqual(c.wallets, wallets);
+  assert.equal(c.links.length, wallets.length - 1);
+  assert.deepEqual(c.funders, [F(1)]);
+  assert.deepEqual(c.blocks.sort(), [5, 6]);
+});
+
+test('clusters are ordered by supply share, then size, and numbered from 1', () => {
+  const wallets = [W(1), W(2), W(3), W(4), W(5), W(6), W(7)];
+  const funders = {
+    [W(1)]: [{ address: F(1), block: 1 }], [W(2)]: [{ address: F(1), block: 2 }],
+    [W(3)]: [{ address: F(2), block: 3 }], [W(4)]: [{ address: F(2), block: 4 }],
+    [W(5)]: [{ address: F(3), block: 5 }], [W(6)]: [{ address: F(3), block: 6 }], [W(7)]: [{ address: F(3), block: 7 }]
+  };
+  const clusters = buildFundingClusters(wallets, funders, pctOf({ [W(3)]: 10, [W(1)]: 1 }));
+  assert.deepEqual(clusters.map(c => [c.id, c.pct, c.wallets.length]), [[1, 10, 2], [2, 1, 2], [3, 0, 3]]);
+  assert.deepEqual(clusters[0].wallets, [W(3), W(4)]);
+});
@@ -0,0 +1,44 @@
+delete process.env.HOLDER_MOVE_MIN_PCT; // tests assume the default 0.25% move threshold
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { diffHolderScans } = require('../lib/scan.cjs');
+
+const W = (n)=> '0x' + n.toString(16).padStart(40, '0');
+const top = (...rows)=> ({ b: { top25: rows.map(([address, pct], i) => ({ rank: i + 1, address, pct, holdings: pct * 10 })) } });
+const none = new Map();
+const zero = ()=> 0;
+
+test('first scan has no baseline and yields no events', () => {
+  assert.deepEqual(diffHolderScans(null, top([W(1), 5]), none, zero), []);
+  assert.deepEqual(diffHolderScans({ b: { top25: [] } }, top([W(1), 5]), none, zero), []);
+});
+
+test('enter and exit track top 25 membership', () => {
+  const shares = { [W(2)]: 0.12345 };
+  const events = diffHolderScans(top([W(1), 5], [W(2), 3]), top([W(1), 5], [W(3), 4]), none, (a)=> shares[a] || 0);
+  assert.deepEqual(events, [
+    { type: 'enter', address: W(3), rank: 2, prevRank: null, pct: 4, holdings: 40 },
+    { type: 'exit', address: W(2), rank: null, prevRank: 2, pct: 0.1235, prevPct: 3, deltaPct: -2.8765, prevHoldings: 30 }
+  ]);
+});
+
+test('balance moves below the threshold are ignored', () => {
+  const events = diffHolderScans(top([W(1), 5], [W(2), 3]), top([W(1), 5.2], [W(2), 2.5]), none, zero);
+  assert.deepEqual(events.map(e => [e.type, e.address, e.deltaPct]), [['decrease', W(2), -0.5]]);
+  assert.equal(events[0].prevRank, 2);
+  assert.equal(events[0].prevHoldings, 30);
+});
+
+test('increase reports the new rank next to the previous one', () => {
+  const [e] = diffHolderScans(top([W(1), 5], [W(2), 3]), top([W(2), 6], [W(1), 5]), none, zero);
+  assert.deepEqual([e.type, e.address, e.rank, e.prevRank, e.deltaPct], ['increase', W(2), 1, 2, 3]);
+});
+
+test('sells are reported only for wallets in either top 25', () => {
+  const sells = new Map([
+    [W(1), { amount: 100, pct: 1.23456, txs: 2, lastTs: 99 }],
+    [W(9), { amount: 500, pct: 5, txs: 1, lastTs: 98 }]
+  ]);
+  const events = diffHolderScans(top([W(1), 5]), top([W(1), 5]), sells, zero);
+  assert.deepEqual(events, [{ type: 'sell', address: W(1), rank: 1, prevRank: 1, amount: 100, pct: 1.2346, txs: 2, lastTs: 99 }]);
+});
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SERIES_WINDOWS, SERIES_MAX_POINTS, windowSeries, holdersPoint } = require('../lib/series.cjs');
+
+const NOW = Date.UTC(2026, 0, 15);
+const H = 3600e3;
+
+test('holdersPoint records holder count, concentration and summed LP share', () => {
+  const result = { a: { totalHolders: 1234, top10Pct: 41.5, creatorPct: 3.2, lpNodes: [{ pct: 12 }, { pct: 0.5 }, {}] } };
+  assert.deepEqual(holdersPoint(NOW, result), { ts: NOW, holders: 1234, top10Pct: 41.5, creatorPct: 3.2, lpPct: 12.5 });
+});
+
+test('holdersPoint tolerates a result without analysis', () => {
+  assert.deepEqual(holdersPoint(NOW, {}), { ts: NOW, holders: undefined, top10Pct: undefined, creatorPct: undefined, lpPct: 0 });
+});
+
+test('windowSeries keeps points inside the window, oldest first', () => {
+  const rows = [
+    { ts: NOW - 2 * H, holders: 12 },
+    { ts: NOW - 30 * H, holders: 9 },   // outside 24h
+    { ts: NOW - 1 * H, holders: 13 },
+    { ts: NOW - 20 * H, holders: 10 }
+  ];
+  assert.deepEqual(windowSeries(rows, SERIES_WINDOWS['24h'], NOW).map(p => p.holders), [10, 12, 13]);
+  assert.deepEqual(windowSeries(rows, SERIES_WINDOWS['7d'], NOW).map(p => p.holders), [9, 10, 12, 13]);
+});
+
+test('windowSeries drops rows without a numeric ts (torn or foreign lines)', () => {
+  const rows = [null, { holders: 1 }, { ts: 'x', holders: 2 }, { ts: NOW - H, holders: 3 }];
+  assert.deepEqual(windowSeries(rows, SERIES_WINDOWS['24h'], NOW), [{ ts: NOW - H, holders: 3 }]);
+});
+
+test('windowSeries thins long histories to the last point per bucket', () => {
+  const win = SERIES_WINDOWS['24h'];
+  const step = win / (SERIES_MAX_POINTS * 4);
+  const rows = Array.from({ length: SERIES_MAX_POINTS * 4 }, (_, i) => ({ ts: NOW - win + i * step, holders: i }));
+  const pts = windowSeries(rows, win, NOW);
+  assert.equal(pts.length, SERIES_MAX_POINTS);
+  assert.equal(pts[0].holders, 3);
+  assert.equal(pts.at(-1).holders, rows.length - 1);
+});
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { scoreTokenRisk } = require('../lib/scan.cjs');
+
+const NOW = Date.UTC(2025, 0, 1);
+const addr = (i)=> '0x' + i.toString(16).padStart(40, '0');
+// first-buyer rows as enrichReceiverStats produces them, per status (first buy of 100 tokens)
+const BUYER = {
+  'hold':        { firstInAmount: 100, totalIn: 100, totalOut: 0,   holdings: 100 },
+  'bought more': { firstInAmount: 100, totalIn: 150, totalOut: 0,   holdings: 150 },
+  'sold part':   { firstInAmount: 100, totalIn: 100, totalOut: 40,  holdings: 60 },
+  'sold all':    { firstInAmount: 100, totalIn: 100, totalOut: 100, holdings: 0 }
+};
+let nextAddr = 1;
+const buyers = (n, status)=> Array.from({ length: n }, () => ({ address: addr(nextAddr++), timeStamp: 1700000000, ...BUYER[status], status }));
+const points = (r, signal)=> r.reasons.find(x => x.signal === signal)?.points ?? 0;
+
+test('no signals scores 0 / low with empty reasons', () => {
+  const r = scoreTokenRisk({}, NOW);
+  assert.equal(r.score, 0);
+  assert.equal(r.level, 'low');
+  assert.deepEqual(r.reasons, []);
+  assert.equal(r.metrics.liqRatio, null);
+  assert.equal(r.metrics.ageH, null);
+  assert.equal(r.ts, NOW);
+});
+
+test('creator share thresholds: ≥20 → 25, ≥5 → 15, ≥1 → 5', () => {
+  for (const [pct, want] of [[20, 25], [19.9, 15], [5, 15], [1, 5], [0.99, 0]]) {
+    assert.equal(points(scoreTokenRisk({ a: { creatorPct: pct } }, NOW), 'creator'), want, `creatorPct ${pct}`);
+  }
+});
+
+test('top 10 concentration thresholds: ≥80 → 25, ≥50 → 15, ≥30 → 5', () => {
+  for (const [pct, want] of [[80, 25], [50, 15], [30, 5], [29.9, 0]]) {
+    assert.equal(points(scoreTokenRisk({ a: { top10Pct: pct } }, NOW), 'concentration'), want, `top10Pct ${pct}`);
+  }
+});
+
+test('LP share only counts when LP nodes are known', () => {
+  assert.equal(points(scoreTokenRisk({ a: { lpNodes: [{ pct: 0.4 }, { pct: 0.5 }] } }, NOW), 'lp_share'), 10);
+  assert.equal(points(scoreTokenRisk({ a: { lpNodes: [{ pct: 2 }] } }, NOW), 'lp_share'), 5);
+  assert.equal(points(scoreTokenRisk({ a: { lpNodes: [{ pct: 3 }] } }, NOW), 'lp_share'), 0);
+  assert.equal(points(scoreTokenRisk({ a: { lpNodes: [] } }, NOW), 'lp_share'), 0);
+});
+
+test('first buyers: dumps and the no-sells honeypot pattern', () => {
+  assert.equal(points(scoreTokenRisk({ b: { first25: buyers(15, 'sold all') } }, NOW), 'early_dump'), 20);
+  assert.equal(points(scoreTokenRisk({ b: { first25: buyers(8, 'sold all') } }, NOW), 'early_dump'), 10);
+  const mixed = [...buyers(8, 'sold all'), ...buyers(6, 'hold'), ...buyers(3, 'sold part'), ...buyers(2, 'bought more')];
+  const r = scoreTokenRisk({ b: { first25: mixed } }, NOW);
+  assert.equal(r.metrics.soldAll, 8, "only 'sold all' counts as a dump");
+  assert.equal(points(r, 'early_dump'), 10);
+  assert.equal(r.reasons.find(x => x.signal === 'early_dump').text, '8/19 first buyers sold everything');
+  assert.equal(points(r, 'no_sells'), 0, 'some buyers sold');
+  assert.equal(points(scoreTokenRisk({ b: { first25: buyers(14, 'sold all') } }, NOW), 'early_dump'), 10);
+  assert.equal(points(scoreTokenRisk({ b: { first25: [...buyers(7, 'sold all'), ...buyers(10, 'hold')] } }, NOW), 'early_dump'), 0);
+  assert.equal(points(scoreTokenRisk({ b: { first25: [...buyers(6, 'hold'), ...buyers(4, 'bought more')] } }, NOW), 'no_sells'), 20);
+  assert.equal(points(scoreTokenRisk({ b: { first25: buyers(9, 'hold') } }, NOW), 'no_sells'), 0, 'needs ≥ 10 buyers');
+  assert.equal(points(scoreTokenRisk({ b: { first25: [...buyers(10, 'hold'), ...buyers(1, 'sold part')] } }, NOW), 'no_sells'), 0, 'one partial sell is enough');
+});
+
+test('shared funders counts first buyers whose funder also funded another', () => {
+  const first25 = buyers(6, 'sold part');
+  const funders = Object.fromEntries(first25.map((r, i) => [r.address, [{ address: i < 5 ? addr(999) : addr(1000 + i) }]]));
+  const r = scoreTokenRisk({ b: { first25 }, funders }, NOW);
+  assert.equal(r.metrics.sharedWallets, 5);
+  assert.equal(points(r, 'shared_funders'), 20);
+});
+
+test('liquidity ratio and pair age come from Dexscreener pairs', () => {
+  const pairs = [
+    { liquidity: { usd: 1000 }, marketCap: 100000, pairCreatedAt: NOW - 2 * 3600000 },
+    { liquidity: { usd: 500 }, pairCreatedAt: NOW - 10 * 24 * 3600000 }
+  ];
+  const r = scoreTokenRisk({ pairs }, NOW);
+  assert.equal(r.metrics.liquidityUsd, 1500);
+  assert.equal(r.metrics.liqRatio, 0.015);
+  assert.equal(points(r, 'liquidity'), 20);
+  assert.equal(r.metrics.ageH, 240, 'age is measured from the oldest pair');
+  assert.equal(points(r, 'age'), 0);
+  assert.equal(points(scoreTokenRisk({ pairs: [{ fdv: 1000, liquidity: { usd: 40 }, pairCreatedAt: NOW - 3600000 }] }, NOW), 'age'), 15);
+});
+
+test('score is capped at 100, reasons sorted by points and levels follow thresholds', () => {
+  const first25 = buyers(20, 'sold all');
+  const r = scoreTokenRisk({ a: { creatorPct: 50, top10Pct: 90, lpNodes: [{ pct: 0.1 }] }, b: { first25 }, pairs: [{ liquidity: { usd: 1 }, marketCap: 1e6, pairCreatedAt: NOW }] }, NOW);
+  assert.equal(r.score, 100);
+  assert.equal(r.level, 'high');
+  assert.deepEqual(r.reasons.map(x => x.points), [...r.reasons.map(x => x.points)].sort((x, y) => y - x));
+  assert.equal(scoreTokenRisk({ a: { creatorPct: 1, top10Pct: 30 } }, NOW).level, 'low');                          // 5 + 5
+  assert.equal(scoreTokenRisk({ a: { creatorPct: 20, top10Pct: 30 } }, NOW).level, 'medium');                       // 25 + 5
+  assert.equal(scoreTokenRisk({ a: { creatorPct: 20, top10Pct: 80, lpNodes: [{ pct: 0 }] } }, NOW).level, 'high'); // 25 + 25 + 10
+});
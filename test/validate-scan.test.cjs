@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateScanData } = require('../lib/scan.cjs');
+
+const CA = '0x' + 'a'.repeat(40);
+const REF = { ca: CA, chain: 'abstract' };
+const addr = (i)=> '0x' + i.toString(16).padStart(40, '0');
+
+function scan() {
+  return {
+    meta: { contract: CA.toUpperCase().replace('0X', '0x'), chain: 'abstract', scanVersion: 3, scannedAt: 1700000000000, extra: 'dropped' },
+    a: {
+      tokenDecimals: 18, minted: 1000, burned: 0, currentSupply: 1000, totalHolders: 2, top10Pct: 60, creatorPct: 5,
+      creatorAddress: addr(9),
+      holdersForBubbles: [{ address: addr(1), balance: 400, pct: 40, label: 'dropped' }, { address: addr(2), balance: 200, pct: 20 }],
+      lpNodes: [{ address: addr(3), balance: 100, pct: 10 }]
+    },
+    b: {
+      first25: [{ address: addr(1), timeStamp: 1, firstInAmount: 10, totalIn: 10, totalOut: 0, holdings: 10, status: 'hold', sClass: 'ignored' }],
+      top25: [{ rank: 1, address: addr(1), firstIn: 1, holdings: 400, pct: 40 }, { rank: 2, address: addr(2), firstIn: 2, holdings: 200, pct: 20 }]
+    },
+    risk: { score: 0 }
+  };
+}
+const withPatch = (fn)=> { const d = scan(); fn(d); return validateScanData(d, REF); };
+
+test('a valid scan comes back as a clean copy', () => {
+  const { data, error } = validateScanData(scan(), REF);
+  assert.equal(error, undefined);
+  assert.deepEqual(data.meta, { contract: CA, chain: 'abstract', scanVersion: 3, source: 'upload', scannedAt: 1700000000000 });
+  assert.deepEqual(Object.keys(data), ['meta', 'a', 'b'], 'unknown top-level fields are dropped');
+  assert.deepEqual(data.a.holdersForBubbles[0], { address: addr(1), balance: 400, pct: 40 });
+  assert.equal(data.a.lpNodes[0].__type, 'lp');
+  assert.equal(data.b.first25[0].sClass, 's-hold', 'status class is derived, not trusted');
+});
+
+test('optional fields fall back to defaults', () => {
+  const { data } = withPatch(d => { d.meta = undefined; delete d.a.lpNodes; delete d.a.creatorAddress; delete d.a.creatorPct; });
+  assert.deepEqual(data.a.lpNodes, []);
+  assert.equal(data.a.creatorAddress, null);
+  assert.equal(data.meta.scanVersion, null);
+  assert.equal(data.meta.scannedAt, null);
+});
+
+test('rejects non-objects and scans for another token or chain', () => {
+  assert.equal(validateScanData(null, REF).error, 'data must be an object');
+  assert.equal(validateScanData([], REF).error, 'data must be an object');
+  assert.equal(withPatch(d => { d.meta.contract = addr(5); }).error, 'meta.contract does not match ca');
+  assert.equal(withPatch(d => { d.meta.chain = 'base'; }).error, 'meta.chain does not match chain');
+});
+
+test('rejects bad numbers and addresses with the failing path', () => {
+  const cases = [
+    [d => { delete d.a; }, /^a: missing/],
+    [d => { d.b = null; }, /^b: missing/],
+    [d => { d.a.tokenDecimals = 18.5; }, /^a\.tokenDecimals/],
+    [d => { d.a.minted = -1; }, /^a\.minted/],
+    [d => { d.a.currentSupply = '1000'; }, /^a\.currentSupply/],
+    [d => { d.a.totalHolders = 1.5; }, /^a\.totalHolders/],
+    [d => { d.a.top10Pct = 101; }, /^a\.top10Pct/],
+    [d => { d.a.creatorAddress = 'nope'; }, /^a\.creatorAddress/],
+    [d => { d.a.holdersForBubbles[1].address = addr(2).toUpperCase(); }, /^a\.holdersForBubbles/],
+    [d => { d.a.lpNodes[0].pct = NaN; }, /^a\.lpNodes/],
+    [d => { d.b.first25[0].status = 'moon'; }, /^b\.first25/],
+    [d => { d.b.first25[0].status = 'constructor'; }, /^b\.first25/],
+    [d => { d.b.top25[1].rank = 3; }, /^b\.top25/]
+  ];
+  for (const [patch, want] of cases) assert.match(withPatch(patch).error || '', want, patch.toString());
+});
+
+test('enforces list and size limits', () => {
+  assert.match(withPatch(d => { d.b.first25 = Array(26).fill(d.b.first25[0]); }).error, /^b\.first25/);
+  assert.match(withPatch(d => { d.a.lpNodes = Array(51).fill(d.a.lpNodes[0]); }).error, /^a\.lpNodes/);
+  assert.match(withPatch(d => { d.padding = 'x'.repeat(1024 * 1024); }).error, /^data larger than/);
+});